@@ -0,0 +1,9 @@
+// Scopes that can be granted to API keys. Routes opt in to API key access
+// with the apiKeyScope() middleware; everything else is JWT-only.
+module.exports = {
+  'foods:read': 'Read foods and recipes',
+  'foods:write': 'Create and update your own foods',
+  'recipes:read': 'Read recommendations and favorites',
+  'recipes:cook': 'Record cook events',
+  'favorites:write': 'Add and remove favorite recipes'
+};
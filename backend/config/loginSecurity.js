@@ -0,0 +1,31 @@
+// Failed login thresholds, per account and per IP address.
+// After `backoffAfter` failures each further attempt must wait an exponentially
+// growing delay; after `maxAttempts` failures the account/IP is locked.
+
+const toInt = (value, fallback) => parseInt(value) || fallback;
+
+const loginSecurity = {
+  account: {
+    backoffAfter: toInt(process.env.LOGIN_ACCOUNT_BACKOFF_AFTER, 3),
+    maxAttempts: toInt(process.env.LOGIN_ACCOUNT_MAX_ATTEMPTS, 10),
+    lockMinutes: toInt(process.env.LOGIN_ACCOUNT_LOCK_MINUTES, 30)
+  },
+  ip: {
+    backoffAfter: toInt(process.env.LOGIN_IP_BACKOFF_AFTER, 10),
+    maxAttempts: toInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 50),
+    lockMinutes: toInt(process.env.LOGIN_IP_LOCK_MINUTES, 60)
+  },
+  maxBackoffSeconds: toInt(process.env.LOGIN_MAX_BACKOFF_SECONDS, 300)
+};
+
+// Delay before the next attempt is allowed: 1s, 2s, 4s, ... capped
+const backoffDelayMs = (failedAttempts, backoffAfter) => {
+  if (failedAttempts < backoffAfter) return 0;
+  const seconds = Math.min(2 ** (failedAttempts - backoffAfter), loginSecurity.maxBackoffSeconds);
+  return seconds * 1000;
+};
+
+module.exports = {
+  ...loginSecurity,
+  backoffDelayMs
+};
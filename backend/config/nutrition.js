@@ -0,0 +1,6 @@
+module.exports = {
+  // Manual nutrition this far (as a fraction) from the computed values is flagged
+  divergenceTolerance: parseFloat(process.env.NUTRITION_DIVERGENCE_TOLERANCE) || 0.25,
+  // Only compare when at least this share of a recipe's ingredients could be costed
+  minCoverage: parseFloat(process.env.NUTRITION_MIN_COVERAGE) || 0.8
+};
@@ -0,0 +1,56 @@
+// OpenID Connect provider configuration, read from environment variables.
+//
+// OIDC_PROVIDERS=google,mock
+// OIDC_GOOGLE_CLIENT_ID=...        (required)
+// OIDC_GOOGLE_CLIENT_SECRET=...    (optional for public clients)
+// OIDC_GOOGLE_ISSUER=...           (defaults below for well-known providers)
+// OIDC_GOOGLE_NAME=Google          (display name)
+// OIDC_GOOGLE_SCOPES=openid email profile
+
+const knownIssuers = {
+  google: 'https://accounts.google.com',
+  microsoft: 'https://login.microsoftonline.com/common/v2.0'
+};
+
+const readProviders = () => {
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return ids.reduce((providers, id) => {
+    const prefix = `OIDC_${id.toUpperCase()}_`;
+    const issuer = process.env[`${prefix}ISSUER`] || knownIssuers[id];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`⚠️ OIDC provider "${id}" is missing an issuer or client ID and was skipped`);
+      return providers;
+    }
+
+    providers[id] = {
+      id,
+      name: process.env[`${prefix}NAME`] || id.charAt(0).toUpperCase() + id.slice(1),
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+      redirectUri: process.env[`${prefix}REDIRECT_URI`] ||
+        process.env.OIDC_REDIRECT_URI ||
+        `${process.env.CLIENT_URL || 'http://localhost:3000'}/oauth/callback`
+    };
+    return providers;
+  }, {});
+};
+
+// Read once at startup, so a misconfigured provider is only reported once
+const providers = readProviders();
+
+const getProviders = () => providers;
+
+const getProvider = (id) => (Object.hasOwn(providers, id) ? providers[id] : undefined);
+
+module.exports = {
+  getProviders,
+  getProvider
+};
@@ -0,0 +1,12 @@
+// Staples every kitchen is assumed to have - they never count as missing
+// when matching recipes against a pantry. Override with PANTRY_STAPLES=salt,oil,water
+const staples = (process.env.PANTRY_STAPLES || 'salt,oil,water')
+  .split(',')
+  .map(staple => staple.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  staples,
+  // Items expiring within this many days count as "expiring soon"
+  expiringSoonDays: parseInt(process.env.PANTRY_EXPIRING_SOON_DAYS) || 3
+};
@@ -0,0 +1,21 @@
+const path = require('path');
+
+module.exports = {
+  // 'local' writes under UPLOAD_DIR and serves it from /uploads; 's3' uses AWS_S3_BUCKET
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: {
+    directory: path.resolve(__dirname, '..', process.env.UPLOAD_DIR || 'uploads'),
+    publicUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads'
+  },
+  s3: {
+    bucket: process.env.AWS_S3_BUCKET,
+    region: process.env.AWS_REGION || 'us-east-1',
+    // CDN in front of the bucket, if any - defaults to the bucket's own URL
+    publicUrl: process.env.AWS_S3_PUBLIC_URL
+  },
+  maxBytes: parseInt(process.env.UPLOAD_MAX_BYTES) || 8 * 1024 * 1024,
+  // Checked against the declared type and again against the decoded file
+  allowedFormats: ['jpeg', 'png', 'webp'],
+  // Larger images are refused before decoding
+  maxPixels: parseInt(process.env.UPLOAD_MAX_PIXELS) || 40000000
+};
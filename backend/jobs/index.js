@@ -0,0 +1,51 @@
+const { purgeDueAccounts } = require('../utils/accountDeletion');
+const { failStaleExports, removeExports } = require('../utils/dataExport');
+const { remindExpiringItems } = require('../utils/pantry');
+
+// Background jobs run in-process on a fixed interval
+const jobs = [
+  {
+    name: 'purge deleted accounts',
+    intervalMs: 60 * 60 * 1000,
+    run: purgeDueAccounts
+  },
+  {
+    name: 'fail stuck data exports',
+    intervalMs: 10 * 60 * 1000,
+    run: () => failStaleExports()
+  },
+  {
+    name: 'remove expired data exports',
+    intervalMs: 60 * 60 * 1000,
+    run: () => removeExports({ expiresAt: { $lte: new Date() } })
+  },
+  {
+    name: 'remind about expiring pantry items',
+    intervalMs: 60 * 60 * 1000,
+    run: remindExpiringItems
+  }
+];
+
+const runJob = async (job) => {
+  try {
+    const count = await job.run();
+    if (count) {
+      console.log(`🕒 Job "${job.name}" processed ${count} item(s)`);
+    }
+  } catch (error) {
+    console.error(`❌ Job "${job.name}" failed:`, error.message);
+  }
+};
+
+// Start all jobs - timers are unref'd so they never keep the process alive
+const startJobs = () => {
+  jobs.forEach(job => {
+    setInterval(() => runJob(job), job.intervalMs).unref();
+  });
+};
+
+module.exports = {
+  jobs,
+  runJob,
+  startJobs
+};
@@ -1,7 +1,43 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 
-// Protect routes - require authentication
+// Let API keys with the given scope use this route - place before protect
+const apiKeyScope = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+// Resolve the X-API-Key header to its key and owner, or an error to send back
+const resolveApiKey = async (req) => {
+  const apiKey = await ApiKey.findActiveByKey(req.get('X-API-Key'));
+
+  if (!apiKey) {
+    return { statusCode: 401, message: 'Invalid or revoked API key' };
+  }
+
+  // Routes must opt in to API key access, and the key must hold the scope
+  if (!req.apiKeyScope) {
+    return { statusCode: 403, message: 'API keys cannot access this route' };
+  }
+  if (!apiKey.hasScope(req.apiKeyScope)) {
+    return { statusCode: 403, message: `API key is missing the ${req.apiKeyScope} scope` };
+  }
+
+  const user = await User.findById(apiKey.owner).select('-password');
+
+  if (!user || !user.isActive) {
+    return { statusCode: 401, message: 'API key owner is deactivated' };
+  }
+
+  await apiKey.touch(req.ip);
+  return { apiKey, user };
+};
+
+// Protect routes - require authentication (JWT, or an API key where the route allows it)
 const protect = async (req, res, next) => {
   try {
     let token;
@@ -11,6 +47,21 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    if (!token && req.get('X-API-Key')) {
+      const { apiKey, user, statusCode, message } = await resolveApiKey(req);
+
+      if (!apiKey) {
+        return res.status(statusCode).json({
+          status: 'error',
+          message
+        });
+      }
+
+      req.user = user;
+      req.apiKey = apiKey;
+      return next();
+    }
+
     // Make sure token exists
     if (!token) {
       return res.status(401).json({
@@ -40,7 +91,27 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Password was changed recently, please log in again'
+        });
+      }
+
+      // Make sure the session behind this token has not been revoked
+      const session = await Session.findActive(decoded.sid, user._id);
+
+      if (!session) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Session has expired or been revoked, please log in again'
+        });
+      }
+
+      await session.touch(req.ip);
+
       req.user = user;
+      req.sessionId = session._id;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -65,10 +136,29 @@ const authorize = (...roles) => {
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
+
+    // Privileged roles must have two-factor authentication turned on
+    if (req.user.requiresTwoFactor() && !req.user.twoFactor.enabled) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Two-factor authentication must be enabled to access this route'
+      });
+    }
     next();
   };
 };
 
+// Require a verified email - use after protect
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Please verify your email address to access this route'
+    });
+  }
+  next();
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -78,13 +168,26 @@ const optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    if (!token && req.get('X-API-Key')) {
+      const { apiKey, user } = await resolveApiKey(req);
+
+      if (apiKey) {
+        req.user = user;
+        req.apiKey = apiKey;
+      }
+    }
+
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
         
-        if (user && user.isActive) {
+        const session = user && await Session.findActive(decoded.sid, user._id);
+
+        if (session && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
+          await session.touch(req.ip);
           req.user = user;
+          req.sessionId = session._id;
         }
       } catch (error) {
         // Token is invalid, but we don't fail the request
@@ -100,6 +203,8 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   protect,
+  apiKeyScope,
   authorize,
+  requireVerifiedEmail,
   optionalAuth
 };
@@ -0,0 +1,23 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+// Reject login attempts from an IP that is backing off or locked out
+const checkLoginThrottle = async (req, res, next) => {
+  try {
+    const retryAfterMs = await LoginThrottle.getRetryAfter(req.ip);
+
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message: `Too many failed login attempts, please try again in ${retryAfter} seconds`
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { checkLoginThrottle };
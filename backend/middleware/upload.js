@@ -0,0 +1,39 @@
+const multer = require('multer');
+const { maxBytes, allowedFormats } = require('../config/storage');
+
+const allowedTypes = allowedFormats.map(format => `image/${format}`);
+
+// Uploads are kept in memory - they're resized before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    cb(null, allowedTypes.includes(file.mimetype));
+  }
+});
+
+// Accept a single image in the given multipart field
+const uploadImage = (field = 'image') => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Images must be smaller than ${Math.round(maxBytes / 1024 / 1024)} MB`
+          : `Upload one image in the "${field}" field`
+      });
+    }
+    if (error) return next(error);
+
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Upload a ${allowedFormats.join(', ')} image in the "${field}" field`
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadImage };
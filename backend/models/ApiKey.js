@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const apiKeyScopes = require('../config/apiKeyScopes');
+
+const apiKeySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [50, 'API key name cannot exceed 50 characters']
+  },
+  // Public part of the key, shown in listings and used for lookup
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: {
+      values: Object.keys(apiKeyScopes),
+      message: 'Invalid API key scope'
+    }
+  }],
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+apiKeySchema.index({ owner: 1, revokedAt: 1 });
+
+// How often lastUsedAt is written back
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Instance method to check a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record usage
+apiKeySchema.methods.touch = function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Static method to generate a new key value - format: kha_<prefix>_<secret>
+apiKeySchema.statics.generateKey = function() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return {
+    key: `kha_${prefix}_${secret}`,
+    prefix,
+    keyHash: hashKey(secret)
+  };
+};
+
+// Static method to find the active key matching a raw key value
+apiKeySchema.statics.findActiveByKey = async function(rawKey) {
+  const match = /^kha_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(rawKey || '');
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(match[2]), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const maxItems = 500;
+
+// A user's named, ordered set of recipes ("Ramadan iftar", "Weeknight 20-min")
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [80, 'Collection name cannot exceed 80 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // private: owner only; unlisted: anyone with the share link; public: also listed and searchable
+  visibility: {
+    type: String,
+    enum: {
+      values: ['private', 'unlisted', 'public'],
+      message: 'Visibility must be private, unlisted or public'
+    },
+    default: 'private'
+  },
+  // Secret part of the share link - only ever shown to the owner
+  shareToken: {
+    type: String,
+    select: false
+  },
+  // In the owner's order
+  items: {
+    type: [{
+      _id: false,
+      food: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Food',
+        required: true
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: [items => items.length <= maxItems, `A collection can hold at most ${maxItems} recipes`]
+  },
+  // Collection this one was copied from, if any
+  copiedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  },
+  copyCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ owner: 1, updatedAt: -1 });
+collectionSchema.index({ visibility: 1, updatedAt: -1 });
+collectionSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+collectionSchema.index({ name: 'text', description: 'text' });
+
+collectionSchema.pre('save', function(next) {
+  if (this.isNew && !this.shareToken) this.createShareToken();
+  next();
+});
+
+collectionSchema.statics.maxItems = maxItems;
+
+// Static method to find a collection by its share link
+collectionSchema.statics.findByShareToken = function(token) {
+  return this.findOne({ shareToken: token, visibility: { $ne: 'private' } }).select('+shareToken');
+};
+
+// Instance method to create a new share link, which stops the old one working
+collectionSchema.methods.createShareToken = function() {
+  this.shareToken = crypto.randomBytes(16).toString('hex');
+  return this.shareToken;
+};
+
+// Instance method to check if the user owns this collection
+collectionSchema.methods.isOwnedBy = function(user) {
+  return !!user && this.owner.toString() === user._id.toString();
+};
+
+// Instance method to check if a user (or anonymous visitor) may open this collection
+// directly - unlisted ones need the share link
+collectionSchema.methods.isVisibleTo = function(user) {
+  return this.visibility === 'public' || this.isOwnedBy(user);
+};
+
+// Instance method to find the entry for a recipe
+collectionSchema.methods.findItem = function(foodId) {
+  return this.items.find(item => (item.food._id || item.food).toString() === foodId.toString());
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'zip'],
+    default: 'zip'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+// Virtual for whether the archive can be downloaded
+dataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'completed' && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const moderationState = require('./schemas/moderationState');
+const storedImage = require('./schemas/storedImage');
+const Ingredient = require('./Ingredient');
+const { parseIngredient } = require('../utils/ingredientParser');
+const { calculateNutrition, nutritionSummary } = require('../utils/nutrition');
+const { allergenTypes, dietTypes, deriveDietary } = require('../utils/dietary');
 
 const foodSchema = new mongoose.Schema({
   name: {
@@ -67,6 +73,20 @@ const foodSchema = new mongoose.Schema({
       type: String,
       required: true,
       trim: true
+    },
+    // Catalog entry this ingredient refers to, linked on save
+    ingredient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ingredient'
+    },
+    // Filled in from quantity/unit by the pre-save hook
+    parsed: {
+      name: String,
+      quantityMin: Number,
+      quantityMax: Number,
+      unit: String,
+      preparation: String,
+      scalable: Boolean
     }
   }],
   instructions: [{
@@ -82,7 +102,8 @@ const foodSchema = new mongoose.Schema({
     tips: {
       type: String,
       trim: true
-    }
+    },
+    image: storedImage
   }],
   nutrition: {
     calories: Number,
@@ -91,15 +112,35 @@ const foodSchema = new mongoose.Schema({
     fat: Number,
     fiber: Number
   },
+  // Per-serving values worked out from the ingredients and the catalog's nutrient data
+  computedNutrition: {
+    calories: Number,
+    protein: Number,
+    carbs: Number,
+    fat: Number,
+    fiber: Number,
+    // Share of ingredients that could be costed (0-1)
+    coverage: Number,
+    missingIngredients: [String],
+    // The hand-entered nutrition is well off the computed values
+    divergent: {
+      type: Boolean,
+      default: false
+    },
+    divergentFields: [String],
+    computedAt: Date
+  },
   tags: [{
     type: String,
     trim: true,
     lowercase: true
   }],
+  // Set to the uploaded image's main copy, or an external URL
   imageUrl: {
     type: String,
     default: ''
   },
+  image: storedImage,
   backgroundGradient: {
     type: String,
     default: ''
@@ -122,6 +163,7 @@ const foodSchema = new mongoose.Schema({
       min: 0
     }
   },
+  // Kept in step with diets on save
   isVegetarian: {
     type: Boolean,
     default: false
@@ -134,6 +176,23 @@ const foodSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Worked out from the ingredients on save, after the chef's overrides
+  allergens: [{
+    type: String,
+    enum: allergenTypes
+  }],
+  diets: [{
+    type: String,
+    enum: dietTypes
+  }],
+  // Chef corrections where the ingredients tell the wrong story
+  // ("nut-free pesto", "the stock is vegetarian")
+  dietaryOverrides: {
+    contains: [{ type: String, enum: allergenTypes }],
+    free: [{ type: String, enum: allergenTypes }],
+    compliant: [{ type: String, enum: dietTypes }],
+    notCompliant: [{ type: String, enum: dietTypes }]
+  },
   spiceLevel: {
     type: String,
     enum: ['mild', 'medium', 'hot', 'extra-hot'],
@@ -146,7 +205,49 @@ const foodSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }
+  },
+  // Publication workflow - only published foods are ever shown publicly
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'submitted', 'changes-requested', 'published', 'archived'],
+      message: 'Invalid recipe status'
+    },
+    default: 'draft'
+  },
+  review: {
+    // Chef or admin looking after the submission
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    submittedAt: Date,
+    publishedAt: Date,
+    // Between the author and reviewers only - select '+review.comments' to load them
+    comments: {
+      type: [{
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        body: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [1000, 'Comment cannot exceed 1000 characters']
+        },
+        // The status change the comment came with, if any
+        status: String,
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      select: false
+    }
+  },
+  moderation: moderationState
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -161,6 +262,14 @@ foodSchema.index({ difficulty: 1 });
 foodSchema.index({ featured: 1 });
 foodSchema.index({ popularity: -1 });
 foodSchema.index({ 'rating.average': -1 });
+foodSchema.index({ 'moderation.hidden': 1 });
+foodSchema.index({ status: 1 });
+foodSchema.index({ 'review.reviewer': 1, status: 1 });
+foodSchema.index({ createdBy: 1, status: 1 });
+foodSchema.index({ 'ingredients.ingredient': 1 });
+foodSchema.index({ 'computedNutrition.divergent': 1 });
+foodSchema.index({ allergens: 1 });
+foodSchema.index({ diets: 1 });
 
 // Virtual for total time
 foodSchema.virtual('totalTime').get(function() {
@@ -177,25 +286,177 @@ foodSchema.virtual('difficultyDisplay').get(function() {
   return difficultyMap[this.difficulty] || this.difficulty;
 });
 
+// Link each ingredient to its catalog entry, by the name the parser pulled out
+const linkToCatalog = async (ingredients) => {
+  const names = ingredients.map(ingredient => (ingredient.parsed && ingredient.parsed.name) || ingredient.name);
+  const catalog = await Ingredient.resolveNames(names);
+
+  ingredients.forEach((ingredient, index) => {
+    const entry = catalog.get(names[index]);
+    ingredient.ingredient = entry ? entry._id : undefined;
+  });
+};
+
+// Fetch the catalog entries a food's ingredients link to, as a Map of id -> entry
+const loadCatalogEntries = async (ingredients) => {
+  const ids = ingredients.map(ingredient => ingredient.ingredient).filter(Boolean);
+  const entries = ids.length ? await Ingredient.find({ _id: { $in: ids } }).select('name category synonyms allergens nutrition') : [];
+  return new Map(entries.map(entry => [entry._id.toString(), entry]));
+};
+
+// Work out a food's nutrition from its ingredients - the full calculation, with a per-ingredient breakdown
+const computeNutrition = async (food) => {
+  return calculateNutrition(food, await loadCatalogEntries(food.ingredients));
+};
+
+// Everything worked out from the ingredients - nutrition, allergens and diets
+const deriveFields = async (food) => {
+  const catalog = await loadCatalogEntries(food.ingredients);
+  const { allergens, diets } = deriveDietary(food.ingredients, catalog, food.dietaryOverrides || {});
+
+  return {
+    computedNutrition: nutritionSummary(calculateNutrition(food, catalog)),
+    allergens,
+    diets,
+    isVegetarian: diets.includes('vegetarian'),
+    isVegan: diets.includes('vegan'),
+    isGlutenFree: diets.includes('gluten-free')
+  };
+};
+
+// Changing any of these means the derived fields need working out again
+// (setting a derived field directly just gets it recomputed)
+const derivedInputs = ['ingredients', 'servings', 'nutrition', 'dietaryOverrides', 'allergens', 'diets', 'isVegetarian', 'isVegan', 'isGlutenFree'];
+const derivedSources = 'ingredients servings nutrition dietaryOverrides';
+
 // Pre-save middleware
-foodSchema.pre('save', function(next) {
+foodSchema.pre('save', async function() {
   // Convert tags to lowercase
   if (this.tags && this.tags.length > 0) {
     this.tags = this.tags.map(tag => tag.toLowerCase().trim());
   }
-  next();
+
+  // Keep the structured form of each ingredient in step with its text
+  if (this.isModified('ingredients')) {
+    this.ingredients.forEach(ingredient => {
+      ingredient.parsed = parseIngredient(ingredient);
+    });
+    await linkToCatalog(this.ingredients);
+  }
+
+  if (derivedInputs.some(field => this.isModified(field))) {
+    this.set(await deriveFields(this));
+  }
+});
+
+// Updates that bypass save() still need their ingredients parsed and linked
+foodSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const target = update.$set && update.$set.ingredients ? update.$set : update;
+
+  if (Array.isArray(target.ingredients)) {
+    target.ingredients = target.ingredients.map(ingredient => ({
+      ...ingredient,
+      parsed: parseIngredient(ingredient)
+    }));
+    await linkToCatalog(target.ingredients);
+  }
+
+  // Inputs may arrive as dotted paths ("nutrition.calories")
+  const changedPaths = [...Object.keys(update), ...Object.keys(update.$set || {})];
+  this._derivedChanged = changedPaths.some(path => derivedInputs.includes(path.split('.')[0]));
 });
 
-// Static method to get featured foods
-foodSchema.statics.getFeatured = function() {
-  return this.find({ featured: true }).sort({ popularity: -1 });
+// ...and their derived fields refreshed once the update has landed
+foodSchema.post('findOneAndUpdate', async function(doc) {
+  if (!this._derivedChanged || !doc) return;
+
+  const food = await this.model.findById(doc._id).select(derivedSources).lean();
+  if (!food) return;
+
+  const derived = await deriveFields(food);
+  await this.model.updateOne({ _id: food._id }, { $set: derived });
+  doc.set(derived);
+});
+
+// Static method to (re)link plain ingredient objects to the catalog
+foodSchema.statics.linkToCatalog = linkToCatalog;
+
+// Static method to work out a food's nutrition with a per-ingredient breakdown
+foodSchema.statics.computeNutrition = computeNutrition;
+
+// Static method to work out nutrition, allergens and diets for a plain food object
+foodSchema.statics.deriveFields = deriveFields;
+
+// Static method to recompute the derived fields of matching foods (after catalog changes or for backfills)
+foodSchema.statics.refreshDerivedFields = async function(filter = {}) {
+  let updated = 0;
+
+  for await (const food of this.find(filter).select(derivedSources).lean().cursor()) {
+    await this.collection.updateOne({ _id: food._id }, { $set: await deriveFields(food) });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+// The recipe itself, as authors edit it and revisions record it. Derived fields,
+// ratings, popularity, featuring and the staff-only dietary overrides are left out.
+const editableFields = ['name', 'description', 'category', 'cuisine', 'difficulty', 'prepTime', 'cookTime', 'servings', 'ingredients', 'instructions', 'nutrition', 'tags', 'imageUrl', 'image', 'backgroundGradient', 'spiceLevel'];
+
+foodSchema.statics.editableFields = editableFields;
+
+// Static method to list the uploaded images in a revision snapshot
+foodSchema.statics.snapshotImages = function(snapshot) {
+  return [snapshot.image, ...(snapshot.instructions || []).map(instruction => instruction.image)].filter(Boolean);
+};
+
+// Instance method to capture the editable fields as plain data, for revisions
+foodSchema.methods.revisionSnapshot = function() {
+  const food = this.toObject({ depopulate: true, virtuals: false });
+
+  const snapshot = {};
+  editableFields.forEach(field => {
+    snapshot[field] = food[field];
+  });
+  snapshot.ingredients = (food.ingredients || []).map(({ name, quantity, unit }) => ({ name, quantity, unit }));
+  snapshot.instructions = (food.instructions || []).map(({ step, description, tips, image }) => ({ step, description, tips, image }));
+
+  // Drop undefined values so snapshots compare cleanly
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Static method to add the conditions for foods the public may see
+foodSchema.statics.publicFilter = function(filter = {}) {
+  return {
+    ...filter,
+    status: 'published',
+    'moderation.hidden': { $ne: true }
+  };
+};
+
+// Instance method to check if a user (or anonymous visitor) may see this food.
+// Unpublished and hidden foods are only visible to their author and to staff.
+foodSchema.methods.isVisibleTo = function(user) {
+  const hidden = this.moderation && this.moderation.hidden;
+  if (this.status === 'published' && !hidden) return true;
+  if (!user) return false;
+  if (['admin', 'chef'].includes(user.role)) return true;
+
+  const authorId = this.createdBy && (this.createdBy._id || this.createdBy);
+  return !!authorId && authorId.toString() === user._id.toString();
+};
+
+// Static method to get featured foods, optionally narrowed by extra conditions
+foodSchema.statics.getFeatured = function(filter = {}) {
+  return this.find(this.publicFilter({ ...filter, featured: true })).sort({ popularity: -1 });
 };
 
 // Static method to search foods
 foodSchema.statics.searchFoods = function(query, filters = {}) {
-  const searchQuery = {
+  const searchQuery = this.publicFilter({
     $text: { $search: query }
-  };
+  });
   
   // Add filters
   if (filters.category) searchQuery.category = filters.category;
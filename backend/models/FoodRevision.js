@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One saved version of a recipe. Revisions are append-only: every field that
+// records history is immutable, so an edit or rollback always adds a new one.
+const foodRevisionSchema = new mongoose.Schema({
+  food: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food',
+    required: true,
+    immutable: true
+  },
+  // 1, 2, 3... per food
+  revision: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+  // Cleared if the editor's account is deleted
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'rollback'],
+    required: true,
+    immutable: true
+  },
+  // Top-level recipe fields that differ from the previous revision
+  changedFields: {
+    type: [String],
+    immutable: true
+  },
+  // Revision a rollback restored
+  restoredFrom: {
+    type: Number,
+    immutable: true
+  },
+  // The recipe's editable fields as they were after this change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+foodRevisionSchema.index({ food: 1, revision: -1 }, { unique: true });
+foodRevisionSchema.index({ editor: 1 });
+
+// Static method to get the most recent revision of a food
+foodRevisionSchema.statics.latestFor = function(foodId) {
+  return this.findOne({ food: foodId }).sort({ revision: -1 });
+};
+
+module.exports = mongoose.model('FoodRevision', foodRevisionSchema);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { allergenTypes, dietTypes, ingredientTraits, allergensIn, dietsFor } = require('../utils/dietary');
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    maxlength: [60, 'Ingredient name cannot exceed 60 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Ingredient category is required'],
+    enum: {
+      values: ['vegetable', 'fruit', 'herb', 'spice', 'grain', 'flour', 'legume', 'dairy', 'meat', 'poultry', 'seafood', 'egg', 'oil-fat', 'nut-seed', 'sweetener', 'condiment', 'other'],
+      message: 'Invalid ingredient category'
+    }
+  },
+  // Other names for the same thing - Hindi/Urdu/regional names and English variants
+  synonyms: [{
+    term: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    language: {
+      type: String,
+      enum: ['en', 'hi', 'ur', 'bn', 'gu', 'kn', 'ml', 'mr', 'pa', 'ta', 'te', 'other'],
+      default: 'other'
+    }
+  }],
+  // Allergens staff have marked, plus any given away by the name or category (added on save)
+  allergens: [{
+    type: String,
+    enum: allergenTypes
+  }],
+  // Diets this ingredient fits, worked out on save
+  diets: [{
+    type: String,
+    enum: dietTypes
+  }],
+  // Spelling-normalised keys for the name and every synonym, used for lookups
+  searchTerms: [{
+    type: String
+  }],
+  // Nutrients per 100 g, plus what it takes to turn recipe amounts into grams
+  nutrition: {
+    per100g: {
+      calories: { type: Number, min: 0 },
+      protein: { type: Number, min: 0 },
+      carbs: { type: Number, min: 0 },
+      fat: { type: Number, min: 0 },
+      fiber: { type: Number, min: 0 }
+    },
+    // For amounts given in cups, spoons, katoris...
+    gramsPerMl: {
+      type: Number,
+      min: 0
+    },
+    // For counted amounts: { piece: 110, clove: 4, inch: 6 }
+    unitWeights: {
+      type: Map,
+      of: Number
+    }
+  }
+}, {
+  timestamps: true
+});
+
+ingredientSchema.index({ searchTerms: 1 });
+ingredientSchema.index({ category: 1 });
+ingredientSchema.index({ allergens: 1 });
+
+// Reduce a name to a key that survives common transliteration differences:
+// "Dhaniya"/"dhania", "jeera"/"zeera", "makkhan"/"makhan", "gobhi"/"gobi", "tomatoes"/"tomato"
+const termKey = (term) => {
+  return String(term || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => word.length > 3
+      ? word.replace(/ies$/, 'i').replace(/oes$/, 'o').replace(/([^s])s$/, '$1')
+      : word)
+    .map(word => word
+      .replace(/ph/g, 'f')
+      .replace(/([bdgjkt])h/g, '$1')
+      .replace(/w/g, 'v')
+      .replace(/q/g, 'k')
+      .replace(/z/g, 'j')
+      .replace(/iya/g, 'ia')
+      .replace(/ee|ii/g, 'i')
+      .replace(/oo|uu/g, 'u')
+      .replace(/([a-z])\1/g, '$1')
+      .replace(/y$/, 'i'))
+    .join(' ');
+};
+
+ingredientSchema.pre('save', function(next) {
+  const terms = [this.name, ...this.synonyms.map(synonym => synonym.term)];
+  this.searchTerms = [...new Set(terms.map(termKey).filter(Boolean))];
+
+  const traits = ingredientTraits(this.name, this);
+  this.allergens = allergensIn(traits);
+  this.diets = dietsFor(traits);
+  next();
+});
+
+// Static method to normalise a search term the same way the catalog is indexed
+ingredientSchema.statics.termKey = termKey;
+
+// Static method to find the catalog entry for a name or any of its synonyms
+ingredientSchema.statics.findByTerm = function(term) {
+  return this.findOne({ searchTerms: termKey(term) });
+};
+
+// Static method to resolve many names at once - returns a Map of name -> ingredient
+ingredientSchema.statics.resolveNames = async function(names) {
+  const keys = [...new Set(names.map(termKey).filter(Boolean))];
+  const ingredients = keys.length ? await this.find({ searchTerms: { $in: keys } }) : [];
+
+  const byKey = new Map();
+  for (const ingredient of ingredients) {
+    ingredient.searchTerms.forEach(key => byKey.set(key, ingredient));
+  }
+
+  return new Map(names.map(name => [name, byKey.get(termKey(name)) || null]));
+};
+
+// Every spelling of this ingredient, for matching free-text recipe ingredients
+ingredientSchema.methods.allNames = function() {
+  return [this.name, ...this.synonyms.map(synonym => synonym.term)];
+};
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const loginSecurity = require('../config/loginSecurity');
+
+// Failed login tracking per IP address (account-level tracking lives on User)
+const loginThrottleSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Records are forgotten a day after the last failure
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Static method to get how long an IP must wait before trying again (ms, 0 if allowed)
+loginThrottleSchema.statics.getRetryAfter = async function(ipAddress) {
+  const record = await this.findOne({ ipAddress });
+  if (!record) return 0;
+
+  const now = Date.now();
+  const blockedUntil = Math.max(
+    record.lockUntil ? record.lockUntil.getTime() : 0,
+    record.nextAttemptAt ? record.nextAttemptAt.getTime() : 0
+  );
+  return Math.max(blockedUntil - now, 0);
+};
+
+// Static method to record a failed login from an IP
+loginThrottleSchema.statics.registerFailure = async function(ipAddress) {
+  const now = new Date();
+  const record = await this.findOneAndUpdate(
+    { ipAddress },
+    {
+      $inc: { failedAttempts: 1 },
+      $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + RECORD_TTL_MS) }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const { backoffAfter, maxAttempts, lockMinutes } = loginSecurity.ip;
+  const delay = loginSecurity.backoffDelayMs(record.failedAttempts, backoffAfter);
+
+  record.nextAttemptAt = new Date(now.getTime() + delay);
+  if (record.failedAttempts >= maxAttempts) {
+    record.lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+    record.failedAttempts = 0;
+  }
+
+  return record.save();
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const mealSlots = ['breakfast', 'lunch', 'snack', 'dinner'];
+
+const mealPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Monday (UTC) of the planned week
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  // Total cooking time allowed across the week, in minutes - empty means no limit
+  timeBudgetMinutes: {
+    type: Number,
+    min: [0, 'Time budget cannot be negative']
+  },
+  entries: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    slot: {
+      type: String,
+      required: true,
+      enum: mealSlots
+    },
+    food: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Food',
+      required: true
+    },
+    servings: {
+      type: Number,
+      min: [1, 'Servings must be at least 1'],
+      default: 1
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Notes cannot exceed 200 characters']
+    },
+    generated: {
+      type: Boolean,
+      default: false
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One plan per user per week
+mealPlanSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+
+mealPlanSchema.virtual('weekEnd').get(function() {
+  return new Date(this.weekStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+});
+
+// Instance method to check that a date falls inside the planned week
+mealPlanSchema.methods.coversDate = function(date) {
+  return date >= this.weekStart && date < this.weekEnd;
+};
+
+// Instance method to find the entry for a day and slot
+mealPlanSchema.methods.findEntry = function(date, slot) {
+  const day = date.toISOString().slice(0, 10);
+  return this.entries.find(entry => entry.slot === slot && entry.date.toISOString().slice(0, 10) === day);
+};
+
+// Static method to normalise any date to the Monday that starts its week (UTC)
+mealPlanSchema.statics.startOfWeek = function(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  return start;
+};
+
+mealPlanSchema.statics.mealSlots = mealSlots;
+
+module.exports = mongoose.model('MealPlan', mealPlanSchema);
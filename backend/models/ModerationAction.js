@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Audit record of every moderation decision - never updated or deleted
+const moderationActionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['food', 'review', 'user']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['approve', 'hide', 'ban', 'auto-hide']
+  },
+  // Empty for automatic actions
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  reports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }],
+  // Banned author when a food or review leads to a ban
+  bannedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+moderationActionSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+moderationActionSchema.index({ moderator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// In-app notifications - the "push" channel. The mobile app polls these
+// (or a push gateway forwards them) and marks them read.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['pantry-expiring', 'recipe-review']
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 120
+  },
+  body: {
+    type: String,
+    maxlength: 1000
+  },
+  // Client route to open when the notification is tapped
+  link: {
+    type: String
+  },
+  readAt: {
+    type: Date
+  },
+  // Old notifications are removed automatically
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Pending OIDC authorization requests, kept until the provider redirects back
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  // Hash of a secret only the client that started the login holds, so a
+  // state can't be finished in somebody else's browser
+  bindingHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash the client binding secret
+oauthStateSchema.statics.hashBinding = function(binding) {
+  return crypto.createHash('sha256').update(binding).digest('hex');
+};
+
+// Static method to consume a state exactly once, from the client that started it
+oauthStateSchema.statics.consume = function(state, provider, binding) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    bindingHash: this.hashBinding(binding),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Ingredient = require('./Ingredient');
+
+const pantryItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [60, 'Item name cannot exceed 60 characters']
+  },
+  // Catalog entry, so "aloo" in the pantry covers "potato" in a recipe
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient'
+  },
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  purchasedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Set once an "expiring soon" reminder has gone out for the current expiry date
+  expiryReminderSentAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One entry per item per user
+pantryItemSchema.index({ user: 1, name: 1 }, { unique: true });
+pantryItemSchema.index({ user: 1, expiresAt: 1 });
+
+pantryItemSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+pantryItemSchema.virtual('daysUntilExpiry').get(function() {
+  if (!this.expiresAt) return null;
+  return Math.ceil((this.expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+});
+
+pantryItemSchema.pre('save', async function() {
+  // Link to the catalog whenever the name changes
+  if (this.isModified('name')) {
+    const entry = await Ingredient.findByTerm(this.name);
+    this.ingredient = entry ? entry._id : undefined;
+  }
+
+  // A new expiry date deserves a new reminder
+  if (this.isModified('expiresAt')) {
+    this.expiryReminderSentAt = undefined;
+  }
+});
+
+// Static method to get the items a user can still cook with
+pantryItemSchema.statics.getUsable = function(userId) {
+  return this.find({
+    user: userId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Static method to get a user's items expiring within the next few days (not yet expired)
+pantryItemSchema.statics.getExpiring = function(userId, days) {
+  const now = new Date();
+  return this.find({
+    user: userId,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) }
+  }).sort({ expiresAt: 1 });
+};
+
+module.exports = mongoose.model('PantryItem', pantryItemSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family (the Session id)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'signed-out-remotely', 'reuse-detected', 'password-changed', 'deactivated']
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw refresh token
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new raw refresh token
+refreshTokenSchema.statics.generateToken = function() {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+// Static method to issue a new refresh token (returns the raw token)
+refreshTokenSchema.statics.issue = async function(userId, { family, expiresAt, ip }) {
+  const token = this.generateToken();
+
+  await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family,
+    expiresAt,
+    createdByIp: ip
+  });
+
+  return token;
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['food', 'review', 'user']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Report reason is required'],
+    enum: {
+      values: ['spam', 'copied-content', 'abusive', 'inappropriate', 'misleading', 'other'],
+      message: 'Invalid report reason'
+    }
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes - each user can report a given item once
+reportSchema.index({ targetType: 1, target: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const moderationState = require('./schemas/moderationState');
+
+const reviewSchema = new mongoose.Schema({
+  food: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  photoUrl: {
+    type: String,
+    trim: true
+  },
+  cookedIt: {
+    type: Boolean,
+    default: false
+  },
+  moderation: moderationState
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes - one review per user per food
+reviewSchema.index({ food: 1, user: 1 }, { unique: true });
+reviewSchema.index({ food: 1, createdAt: -1 });
+reviewSchema.index({ user: 1 });
+
+// Static method to recompute a food's rating from its visible reviews
+reviewSchema.statics.recalculateRating = async function(foodId) {
+  const [result] = await this.aggregate([
+    { $match: { food: new mongoose.Types.ObjectId(foodId), 'moderation.hidden': { $ne: true } } },
+    {
+      $group: {
+        _id: '$food',
+        average: { $avg: '$rating' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const rating = result
+    ? { average: Math.round(result.average * 10) / 10, count: result.count }
+    : { average: 0, count: 0 };
+
+  await mongoose.model('Food').updateOne({ _id: foodId }, { rating });
+  return rating;
+};
+
+// Keep the food's aggregate rating in sync on create, edit and delete
+reviewSchema.post('save', async function() {
+  await this.constructor.recalculateRating(this.food);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.recalculateRating(this.food);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
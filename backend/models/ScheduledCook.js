@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const scheduledCookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  food: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food',
+    required: true
+  },
+  // When the dish should be on the table - start times are worked back from this
+  serveAt: {
+    type: Date,
+    required: [true, 'Serve time is required']
+  },
+  servings: {
+    type: Number,
+    min: [1, 'Servings must be at least 1']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  },
+  // Calendar alarm before cooking starts
+  reminderMinutes: {
+    type: Number,
+    min: 0,
+    max: 24 * 60,
+    default: 30
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed'],
+    default: 'scheduled'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+scheduledCookSchema.index({ user: 1, serveAt: 1 });
+
+module.exports = mongoose.model('ScheduledCook', scheduledCookSchema);
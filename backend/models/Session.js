@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'signed-out-remotely', 'reuse-detected', 'password-changed', 'deactivated']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// How often lastSeenAt is written back (avoids a write on every request)
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Build a readable device label like "Chrome on Android" from a user agent
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to record activity on this session
+sessionSchema.methods.touch = function(ipAddress) {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = new Date();
+  if (ipAddress) this.ipAddress = ipAddress;
+  return this.save();
+};
+
+// Static method to start a session for a login
+sessionSchema.statics.start = function(userId, req) {
+  const expiresInDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  const userAgent = req.get('User-Agent') || '';
+
+  return this.create({
+    user: userId,
+    device: (req.body && req.body.deviceName) || describeDevice(userAgent),
+    userAgent,
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+};
+
+// Static method to find a usable session belonging to a user
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke a session and its refresh tokens
+sessionSchema.statics.revoke = async function(sessionId, reason) {
+  if (mongoose.isValidObjectId(sessionId)) {
+    await this.updateOne(
+      { _id: sessionId, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+  await RefreshToken.revokeFamily(sessionId.toString(), reason);
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, { except } = {}) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (except) filter._id = { $ne: except };
+
+  const sessions = await this.find(filter).select('_id');
+
+  await this.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  await RefreshToken.updateMany(
+    {
+      family: { $in: sessions.map(session => session._id.toString()) },
+      revokedAt: { $exists: false }
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return sessions.length;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const shoppingListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [100, 'List name cannot exceed 100 characters']
+  },
+  // The recipes the list was built from, at the servings asked for
+  recipes: [{
+    _id: false,
+    food: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Food',
+      required: true
+    },
+    name: String,
+    servings: {
+      type: Number,
+      min: 1
+    }
+  }],
+  units: {
+    type: String,
+    enum: ['metric', 'us', 'desi'],
+    default: 'metric'
+  },
+  items: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    ingredient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ingredient'
+    },
+    aisle: {
+      type: String,
+      default: 'other'
+    },
+    // Total across recipes - empty for unmeasured items like "salt, to taste"
+    quantity: Number,
+    unit: String,
+    // Human-friendly amount, e.g. "1 1/2 kg" or "to taste"
+    amount: String,
+    // Recipes that need this item
+    recipes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Food'
+    }],
+    alreadyHave: {
+      type: Boolean,
+      default: false
+    },
+    checked: {
+      type: Boolean,
+      default: false
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+shoppingListSchema.index({ user: 1, updatedAt: -1 });
+
+// Items still to buy
+shoppingListSchema.virtual('remainingCount').get(function() {
+  return this.items.filter(item => !item.checked && !item.alreadyHave).length;
+});
+
+// Items grouped by aisle, in shop-walk order
+shoppingListSchema.methods.groupByAisle = function(aisles) {
+  const groups = aisles
+    .map(aisle => ({ aisle, items: this.items.filter(item => item.aisle === aisle) }))
+    .filter(group => group.items.length);
+
+  const other = this.items.filter(item => !aisles.includes(item.aisle));
+  if (other.length) groups.push({ aisle: 'other', items: other });
+
+  return groups;
+};
+
+module.exports = mongoose.model('ShoppingList', shoppingListSchema);
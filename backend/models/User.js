@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
+const moderationState = require('./schemas/moderationState');
+const storedImage = require('./schemas/storedImage');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { allergenTypes } = require('../utils/dietary');
+const loginSecurity = require('../config/loginSecurity');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,7 +24,10 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through social login may have no password
+    required: [function() {
+      return !this.oauthAccounts || this.oauthAccounts.length === 0;
+    }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
@@ -28,10 +37,12 @@ const userSchema = new mongoose.Schema({
     default: 'user'
   },
   profile: {
+    // Set to the uploaded avatar's main copy, or a picture from a sign-in provider
     avatar: {
       type: String,
       default: ''
     },
+    avatarImage: storedImage,
     bio: {
       type: String,
       maxlength: [200, 'Bio cannot exceed 200 characters']
@@ -49,6 +60,11 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'keto', 'paleo', 'halal']
     }],
+    // Recipes and ingredients containing these are never shown to the user
+    allergies: [{
+      type: String,
+      enum: allergenTypes
+    }],
     favoriteCuisines: [{
       type: String,
       enum: ['north-indian', 'south-indian', 'gujarati', 'punjabi', 'bengali', 'rajasthani', 'maharastrian', 'kerala', 'hyderabadi', 'street-food']
@@ -84,10 +100,6 @@ const userSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Food'
     }],
-    savedRecipes: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Food'
-    }],
     cookingStreak: {
       type: Number,
       default: 0
@@ -96,17 +108,106 @@ const userSchema = new mongoose.Schema({
       type: Date
     }
   },
+  oauthAccounts: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date
+    },
+    nextAttemptAt: {
+      type: Date
+    },
+    lockUntil: {
+      type: Date
+    },
+    unlockToken: {
+      type: String,
+      select: false
+    }
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
   isActive: {
     type: Boolean,
     default: true
   },
+  moderation: {
+    ...moderationState,
+    bannedAt: {
+      type: Date
+    }
+  },
+  deletion: {
+    requestedAt: {
+      type: Date
+    },
+    scheduledFor: {
+      type: Date
+    }
+  },
+  // Secret link for subscribing to scheduled cooks from a calendar app
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    createdAt: {
+      type: Date
+    }
+  },
   lastLogin: {
     type: Date
   }
@@ -120,19 +221,38 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ 'profile.cookingExperience': 1 });
 userSchema.index({ 'stats.recipesCooked': -1 });
+userSchema.index({ 'loginSecurity.lockUntil': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } }
+});
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return this.name;
 });
 
+// Virtual for whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.loginSecurity && this.loginSecurity.lockUntil && this.loginSecurity.lockUntil > new Date());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
+    if (this.password) {
+      const salt = await bcrypt.genSalt(12);
+      this.password = await bcrypt.hash(this.password, salt);
+    }
+
+    // Backdate by a second so a token issued right after the change stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -141,9 +261,160 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to mark email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to create a password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to check if password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to link a social login account
+userSchema.methods.linkOAuthAccount = function(provider, subject, email) {
+  const alreadyLinked = this.oauthAccounts.some(
+    account => account.provider === provider && account.subject === subject
+  );
+
+  if (!alreadyLinked) {
+    this.oauthAccounts.push({ provider, subject, email });
+  }
+  return this;
+};
+
+// Instance method to generate new recovery codes (returns the raw codes)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => this.constructor.hashToken(code));
+  return codes;
+};
+
+// Instance method to check a TOTP or recovery code - requires the twoFactor secrets to be selected
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const normalized = String(code).trim().toLowerCase();
+
+  const step = totp.verifyCode(this.twoFactor.secret, normalized, {
+    lastUsedStep: this.twoFactor.lastUsedStep
+  });
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  // Recovery codes are single use
+  const hashed = this.constructor.hashToken(normalized);
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+  if (index !== -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Instance method to check if this user's role must use two-factor authentication
+userSchema.methods.requiresTwoFactor = function() {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+  return roles.includes(this.role);
+};
+
+// Instance method to get how long until the next login attempt is allowed (ms, 0 if allowed)
+userSchema.methods.getLoginRetryAfter = function() {
+  const { lockUntil, nextAttemptAt } = this.loginSecurity || {};
+  const blockedUntil = Math.max(
+    lockUntil ? lockUntil.getTime() : 0,
+    nextAttemptAt ? nextAttemptAt.getTime() : 0
+  );
+  return Math.max(blockedUntil - Date.now(), 0);
+};
+
+// Instance method to record a failed login - returns an unlock token if this failure locked the account.
+// Counted with $inc so parallel attempts can't overwrite each other's failures.
+userSchema.methods.registerFailedLogin = async function() {
+  const { backoffAfter, maxAttempts, lockMinutes } = loginSecurity.account;
+  const now = new Date();
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true }
+  ).select('loginSecurity');
+  if (!updated) return undefined;
+
+  const { failedAttempts } = updated.loginSecurity;
+  const nextAttemptAt = new Date(now.getTime() + loginSecurity.backoffDelayMs(failedAttempts, backoffAfter));
+  await this.constructor.updateOne({ _id: this._id }, { $max: { 'loginSecurity.nextAttemptAt': nextAttemptAt } });
+
+  if (failedAttempts < maxAttempts) return undefined;
+
+  // Only the latest failure locks - if another came in since, that one will
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const locked = await this.constructor.updateOne(
+    { _id: this._id, 'loginSecurity.failedAttempts': failedAttempts },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockUntil': new Date(now.getTime() + lockMinutes * 60 * 1000),
+        'loginSecurity.unlockToken': this.constructor.hashToken(unlockToken)
+      }
+    }
+  );
+
+  return locked.modifiedCount ? unlockToken : undefined;
+};
+
+// Instance method to clear failed login tracking and any lock
+userSchema.methods.resetFailedLogins = function() {
+  if (!this.loginSecurity.failedAttempts && !this.loginSecurity.lockUntil && !this.loginSecurity.nextAttemptAt) {
+    return Promise.resolve(this);
+  }
+
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lastFailedAt = undefined;
+  this.loginSecurity.nextAttemptAt = undefined;
+  this.loginSecurity.lockUntil = undefined;
+  this.loginSecurity.unlockToken = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -188,9 +459,48 @@ userSchema.methods.incrementCookingStreak = function() {
   return this.save();
 };
 
+// Instance method to issue a new calendar feed token (replaces any old one)
+userSchema.methods.createCalendarFeedToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.calendarFeed = {
+    tokenHash: this.constructor.hashToken(token),
+    createdAt: new Date()
+  };
+  return token;
+};
+
+// Static method to find the user a calendar feed token belongs to
+userSchema.statics.findByCalendarFeedToken = function(token) {
+  return this.findOne({ 'calendarFeed.tokenHash': this.hashToken(token), isActive: true });
+};
+
+// Static method to hash tokens before storing or looking them up
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to find a user by a linked social login account
+userSchema.statics.findByOAuthAccount = function(provider, subject) {
+  return this.findOne({
+    oauthAccounts: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Static method to load a user along with their two-factor secrets
+userSchema.statics.findWithTwoFactorSecrets = function(id) {
+  return this.findById(id)
+    .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+// Static method to get currently locked accounts
+userSchema.statics.getLocked = function() {
+  return this.find({ 'loginSecurity.lockUntil': { $gt: new Date() } })
+    .sort({ 'loginSecurity.lockUntil': -1 });
+};
+
 // Static method to get top cooks
 userSchema.statics.getTopCooks = function(limit = 10) {
-  return this.find({ isActive: true })
+  return this.find({ isActive: true, 'moderation.hidden': { $ne: true } })
     .sort({ 'stats.recipesCooked': -1 })
     .limit(limit)
     .select('name profile.avatar stats.recipesCooked stats.cookingStreak');
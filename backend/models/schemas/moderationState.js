@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Moderation state shared by anything that can be reported (foods, reviews, users)
+module.exports = {
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date
+  },
+  // Empty when hidden automatically after too many reports
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  }
+};
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+  // thumb, small, medium, large...
+  name: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Where the file lives in storage, for deleting it later
+  key: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// An uploaded image: resized copies with EXIF stripped (see utils/images.js).
+// url is the largest copy.
+module.exports = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  variants: [variantSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
@@ -0,0 +1,186 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { queueExport, failStaleExports } = require('../utils/dataExport');
+const { sendEmail } = require('../utils/sendEmail');
+
+const router = express.Router();
+
+// @desc    Request an export of all personal data
+// @route   POST /api/auth/export
+// @access  Private
+router.post('/export', protect, [
+  body('format').optional().isIn(['json', 'zip']).withMessage('Format must be json or zip')
+], validateRequest, async (req, res, next) => {
+  try {
+    // Only one export runs at a time per user - one that got stuck doesn't count
+    await failStaleExports({ user: req.user._id });
+    const running = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (running) {
+      return res.status(202).json({
+        status: 'success',
+        message: 'Your export is already being prepared',
+        data: { export: running }
+      });
+    }
+
+    const expireDays = parseInt(process.env.DATA_EXPORT_EXPIRE_DAYS) || 7;
+    const dataExport = await DataExport.create({
+      user: req.user._id,
+      format: req.body.format || 'zip',
+      expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000)
+    });
+
+    queueExport(dataExport._id);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Your export is being prepared',
+      data: { export: dataExport }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get status of recent data exports
+// @route   GET /api/auth/export
+// @access  Private
+router.get('/export', protect, async (req, res, next) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(5);
+
+    res.json({
+      status: 'success',
+      data: { exports }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Download a completed data export
+// @route   GET /api/auth/export/:id/download
+// @access  Private
+router.get('/export/:id/download', protect, [
+  param('id').isMongoId().withMessage('Invalid export ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id })
+      .select('+filePath');
+
+    if (!dataExport || !dataExport.isDownloadable) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Export not found or not ready yet'
+      });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.download(dataExport.filePath, `khaana-ai-export-${date}.${dataExport.format}`, (error) => {
+      if (error && !res.headersSent) next(error);
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete own account (after a grace period)
+// @route   DELETE /api/auth/account
+// @access  Private
+router.delete('/account', protect, [
+  body('password').optional().isString(),
+  body('confirmEmail').optional().isEmail()
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Account deletion is already scheduled'
+      });
+    }
+
+    // Confirm with the password, or the email address for accounts without one
+    const confirmed = user.password
+      ? await user.comparePassword(req.body.password || '')
+      : (req.body.confirmEmail || '').toLowerCase() === user.email;
+
+    if (!confirmed) {
+      return res.status(400).json({
+        status: 'error',
+        message: user.password ? 'Password is incorrect' : 'Please confirm your email address'
+      });
+    }
+
+    const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor: new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000)
+    };
+    await user.save({ validateBeforeSave: false });
+
+    // Sign out everywhere - the user can log back in during the grace period to cancel
+    await Session.revokeAllForUser(user._id, 'logout');
+
+    try {
+      await sendEmail({
+        email: user.email,
+        template: 'accountDeletionScheduled',
+        data: {
+          name: user.name,
+          scheduledFor: user.deletion.scheduledFor
+        }
+      });
+    } catch (emailError) {
+      console.error('❌ Account deletion email failed:', emailError.message);
+    }
+
+    res.json({
+      status: 'success',
+      message: `Your account will be deleted in ${graceDays} days. Log in and cancel it from your account settings before then.`,
+      data: { scheduledFor: user.deletion.scheduledFor }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/account/cancel-deletion
+// @access  Private
+router.post('/account/cancel-deletion', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletion || !user.deletion.scheduledFor) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    user.deletion = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
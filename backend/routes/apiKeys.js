@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const apiKeyScopes = require('../config/apiKeyScopes');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = 10;
+
+// Fields safe to return for a key (never the hash)
+const serializeKey = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  isActive: apiKey.isActive,
+  createdAt: apiKey.createdAt
+});
+
+// API keys are managed with a user session only - never with another API key
+router.use(protect);
+
+// @desc    List available API key scopes
+// @route   GET /api/api-keys/scopes
+// @access  Private
+router.get('/scopes', (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      scopes: Object.entries(apiKeyScopes).map(([scope, description]) => ({ scope, description }))
+    }
+  });
+});
+
+// @desc    List current user's API keys
+// @route   GET /api/api-keys
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { apiKeys: apiKeys.map(serializeKey) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create API key (the key is only shown once)
+// @route   POST /api/api-keys
+// @access  Private
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(apiKeyScopes)).withMessage('Invalid API key scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+], validateRequest, async (req, res, next) => {
+  try {
+    const activeCount = await ApiKey.countDocuments({ owner: req.user._id, revokedAt: { $exists: false } });
+
+    if (activeCount >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can have at most ${MAX_KEYS_PER_USER} active API keys`
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    const expiresInDays = parseInt(req.body.expiresInDays);
+
+    const apiKey = await ApiKey.create({
+      owner: req.user._id,
+      name: req.body.name,
+      scopes: [...new Set(req.body.scopes)],
+      prefix,
+      keyHash,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: {
+        apiKey: serializeKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rotate API key (issues a new secret, old one stops working)
+// @route   POST /api/api-keys/:id/rotate
+// @access  Private
+router.post('/:id/rotate', [
+  param('id').isMongoId().withMessage('Invalid API key ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!apiKey || !apiKey.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found'
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    apiKey.prefix = prefix;
+    apiKey.keyHash = keyHash;
+    apiKey.lastUsedAt = undefined;
+    apiKey.lastUsedIp = undefined;
+    await apiKey.save();
+
+    res.json({
+      status: 'success',
+      message: 'API key rotated. Copy it now - it will not be shown again.',
+      data: {
+        apiKey: serializeKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid API key ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({
+      status: 'success',
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,64 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
 const { validateRequest } = require('../middleware/validateRequest');
 const { protect } = require('../middleware/auth');
+const { checkLoginThrottle } = require('../middleware/loginThrottle');
+const { uploadImage } = require('../middleware/upload');
+const { sendEmail } = require('../utils/sendEmail');
+const { generateAccessToken, issueAuthTokens, verifyTwoFactorChallenge } = require('../utils/tokens');
+const { completeLogin, sendLoginSuccess, recordFailedLogin, rejectBlockedLogin } = require('../utils/login');
+const { allergenTypes } = require('../utils/dietary');
+const { storeImage, removeImages } = require('../utils/images');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Base URL for links in emails
+const getBaseUrl = (req) => {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+// Issue a new verification token and email it to the user
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    email: user.email,
+    template: 'verifyEmail',
+    data: {
+      name: user.name,
+      url: `${getBaseUrl(req)}/api/auth/verify-email/${verificationToken}`,
+      expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+    }
   });
 };
 
+// Issue a password reset token and email it to the user - the token is cleared again if the email fails
+const sendPasswordResetEmail = async (user, req) => {
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      email: user.email,
+      template: 'passwordReset',
+      data: {
+        name: user.name,
+        url: `${process.env.CLIENT_URL || getBaseUrl(req)}/reset-password/${resetToken}`,
+        expiresInMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30
+      }
+    });
+  } catch (emailError) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw emailError;
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -43,8 +88,15 @@ router.post('/register', [
       'profile.cookingExperience': cookingExperience || 'beginner'
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email - registration still succeeds if delivery fails
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (emailError) {
+      console.error('❌ Verification email failed:', emailError.message);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     res.status(201).json({
       status: 'success',
@@ -55,9 +107,11 @@ router.post('/register', [
           name: user.name,
           email: user.email,
           role: user.role,
-          profile: user.profile
+          profile: user.profile,
+          isEmailVerified: user.isEmailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -65,12 +119,68 @@ router.post('/register', [
   }
 });
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid verification token')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await user.markEmailVerified();
+
+    res.json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user, req);
+
+    res.json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-router.post('/login', [
+router.post('/login', checkLoginThrottle, [
   body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('password').notEmpty().withMessage('Password is required'),
+  body('deviceName').optional().isString().trim().isLength({ max: 100 }).withMessage('Device name cannot exceed 100 characters')
 ], validateRequest, async (req, res, next) => {
   try {
     const { email, password } = req.body;
@@ -79,6 +189,7 @@ router.post('/login', [
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordFailedLogin(null, req);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials'
@@ -93,37 +204,60 @@ router.post('/login', [
       });
     }
 
+    // Check lockout / backoff before looking at the password
+    if (rejectBlockedLogin(user, res)) return;
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await recordFailedLogin(user, req);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    // Issue tokens, or a two-factor challenge if 2FA is enabled
+    await completeLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Generate token
-    const token = generateToken(user._id);
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', checkLoginThrottle, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required'),
+  body('deviceName').optional().isString().trim().isLength({ max: 100 }).withMessage('Device name cannot exceed 100 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const userId = verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = userId && await User.findWithTwoFactorSecrets(userId);
 
-    res.json({
-      status: 'success',
-      message: 'Login successful',
-      data: {
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          profile: user.profile,
-          stats: user.stats
-        },
-        token
-      }
-    });
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    if (rejectBlockedLogin(user, res)) return;
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      await recordFailedLogin(user, req);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Persist the used step / consumed recovery code
+    await user.save({ validateBeforeSave: false });
+
+    await sendLoginSuccess(user, req, res);
   } catch (error) {
     next(error);
   }
@@ -148,6 +282,8 @@ router.get('/me', protect, async (req, res, next) => {
           preferences: user.preferences,
           stats: user.stats,
           isEmailVerified: user.isEmailVerified,
+          twoFactorEnabled: user.twoFactor.enabled,
+          deletionScheduledFor: user.deletion && user.deletion.scheduledFor,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
         }
@@ -167,6 +303,8 @@ router.put('/profile', protect, [
   body('profile.location').optional().isString().trim(),
   body('profile.cookingExperience').optional().isIn(['beginner', 'intermediate', 'advanced', 'professional']),
   body('profile.dietaryPreferences').optional().isArray(),
+  body('profile.allergies').optional().isArray(),
+  body('profile.allergies.*').optional().isIn(allergenTypes).withMessage(`Allergies must be any of: ${allergenTypes.join(', ')}`),
   body('profile.favoriteCuisines').optional().isArray(),
   body('preferences.spiceLevel').optional().isIn(['mild', 'medium', 'hot', 'extra-hot'])
 ], validateRequest, async (req, res, next) => {
@@ -177,14 +315,18 @@ router.put('/profile', protect, [
       'profile.location',
       'profile.cookingExperience',
       'profile.dietaryPreferences',
+      'profile.allergies',
       'profile.favoriteCuisines',
       'preferences.spiceLevel'
     ];
 
+    // The body is nested ({ profile: { allergies } }) like the validators above; each
+    // field is set on its own so the rest of the profile is left as it was
     const updates = {};
-    Object.keys(req.body).forEach(key => {
-      if (allowedUpdates.includes(key)) {
-        updates[key] = req.body[key];
+    allowedUpdates.forEach(path => {
+      const value = path.split('.').reduce((object, key) => (object ? object[key] : undefined), req.body);
+      if (value !== undefined) {
+        updates[path] = value;
       }
     });
 
@@ -213,6 +355,59 @@ router.put('/profile', protect, [
   }
 });
 
+// @desc    Upload a profile photo (multipart field "avatar") - replaces any earlier one
+// @route   POST /api/auth/avatar
+// @access  Private
+router.post('/avatar', protect, uploadImage('avatar'), async (req, res, next) => {
+  try {
+    const avatarImage = await storeImage(req.file.buffer, {
+      kind: 'avatar',
+      folder: `avatars/${req.user._id}`,
+      uploadedBy: req.user._id
+    });
+
+    const previous = req.user.profile.avatarImage;
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'profile.avatar': avatarImage.url, 'profile.avatarImage': avatarImage },
+      { new: true }
+    );
+    await removeImages([previous]).catch(error => console.error('❌ Failed to remove old avatar:', error.message));
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Profile photo updated',
+      data: {
+        avatar: user.profile.avatar,
+        avatarImage: user.profile.avatarImage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove the profile photo
+// @route   DELETE /api/auth/avatar
+// @access  Private
+router.delete('/avatar', protect, async (req, res, next) => {
+  try {
+    const previous = req.user.profile.avatarImage;
+    await User.findByIdAndUpdate(req.user._id, {
+      'profile.avatar': '',
+      $unset: { 'profile.avatarImage': 1 }
+    });
+    await removeImages([previous]).catch(error => console.error('❌ Failed to remove avatar:', error.message));
+
+    res.json({
+      status: 'success',
+      message: 'Profile photo removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
@@ -226,6 +421,14 @@ router.put('/change-password', protect, [
     // Get user with password
     const user = await User.findById(req.user._id).select('+password');
 
+    // Accounts created through social login have no password to check against
+    if (!user.password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This account has no password yet. Use forgot password to set one.'
+      });
+    }
+
     // Check current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
 
@@ -236,27 +439,198 @@ router.put('/change-password', protect, [
       });
     }
 
-    // Update password
+    // Update password and end every existing session
     user.password = newPassword;
     await user.save();
+    await Session.revokeAllForUser(user._id, 'password-changed');
+
+    // Keep the current client signed in with a fresh session
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    res.json({
+      status: 'success',
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Always respond the same way, and before any email work - how long the request
+    // takes must not give away whether the email has an account
+    res.json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+    if (user && user.isActive) {
+      sendPasswordResetEmail(user, req).catch(error => console.error('❌ Password reset email failed:', error.message));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset password
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid reset token'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.params.token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Single use - clear the token along with setting the new password
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password-changed');
+
+    // Proving email ownership also clears any login lockout
+    await user.resetFailedLogins();
+
+    res.json({
+      status: 'success',
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Unlock account from the link in the lockout email
+// @route   GET /api/auth/unlock/:token
+// @access  Public
+router.get('/unlock/:token', [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid unlock token')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      'loginSecurity.unlockToken': User.hashToken(req.params.token)
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Unlock link is invalid or has already been used'
+      });
+    }
+
+    await user.resetFailedLogins();
 
     res.json({
       status: 'success',
-      message: 'Password changed successfully'
+      message: 'Account unlocked, you can log in again'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Refresh access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isHexadecimal().withMessage('Refresh token is required')
+], validateRequest, async (req, res, next) => {
+  try {
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+    const newToken = RefreshToken.generateToken();
+    const newTokenHash = RefreshToken.hashToken(newToken);
+
+    // Atomically retire the presented token so it can only be rotated once
+    const stored = await RefreshToken.findOneAndUpdate(
+      {
+        tokenHash,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        replacedByHash: newTokenHash
+      }
+    );
+
+    if (!stored) {
+      // A rotated token being presented again means it was stolen - end the whole session
+      const reused = await RefreshToken.findOne({ tokenHash, revokedReason: 'rotated' });
+      if (reused) {
+        await Session.revoke(reused.family, 'reuse-detected');
+      }
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(stored.user);
+    const session = await Session.findActive(stored.family, stored.user);
+
+    if (!user || !user.isActive || !session) {
+      await Session.revoke(stored.family, 'deactivated');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    await session.touch(req.ip);
+
+    // Continue the same family with the new token and the original expiry
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: newTokenHash,
+      family: stored.family,
+      expiresAt: stored.expiresAt,
+      createdByIp: req.ip
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        token: generateAccessToken(user._id, stored.family),
+        refreshToken: newToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 router.post('/logout', protect, async (req, res, next) => {
   try {
-    // In a more sophisticated setup, you might want to blacklist the token
-    // For now, we'll just return success and let the client remove the token
-    
+    await Session.revoke(req.sessionId, 'logout');
+
     res.json({
       status: 'success',
       message: 'Logged out successfully'
@@ -266,4 +640,77 @@ router.post('/logout', protect, async (req, res, next) => {
   }
 });
 
+// @desc    List active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device userAgent ipAddress lastSeenAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          isCurrent: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Sign out everywhere else
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res, next) => {
+  try {
+    const revokedCount = await Session.revokeAllForUser(req.user._id, 'signed-out-remotely', {
+      except: req.sessionId
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Signed out of all other sessions',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Sign out a specific session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const session = await Session.findActive(req.params.id, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await Session.revoke(session._id, session._id.equals(req.sessionId) ? 'logout' : 'signed-out-remotely');
+
+    res.json({
+      status: 'success',
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
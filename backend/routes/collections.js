@@ -0,0 +1,583 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Collection = require('../models/Collection');
+const Food = require('../models/Food');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+const MAX_COLLECTIONS_PER_USER = 100;
+
+// What's shown of each recipe in a collection
+const foodFields = 'name description category cuisine difficulty prepTime cookTime servings imageUrl image rating spiceLevel diets allergens status moderation createdBy';
+
+const collectionValidators = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 80 }).withMessage('Name must be 1-80 characters'),
+  body('description').optional().isString().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('visibility').optional().isIn(['private', 'unlisted', 'public']).withMessage('Visibility must be private, unlisted or public')
+];
+
+const shareTokenValidator = param('token').matches(/^[a-f0-9]{32}$/).withMessage('Invalid share link');
+
+// Base URL for share links
+const getBaseUrl = (req) => {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+const findOwnCollection = (req) => Collection.findOne({ _id: req.params.id, owner: req.user._id }).select('+shareToken');
+
+// A collection with its recipes filled in, leaving out any the viewer can't
+// see (deleted, unpublished or hidden since they were added). Owners also get
+// the share link.
+const collectionResponse = async (collection, viewer, req) => {
+  const isOwner = collection.isOwnedBy(viewer);
+  await collection.populate([
+    { path: 'items.food', select: foodFields, populate: { path: 'createdBy', select: 'name' } },
+    { path: 'owner', select: 'name profile.avatar' }
+  ]);
+
+  const result = collection.toJSON();
+  delete result.shareToken;
+  result.items = collection.items
+    .filter(item => item.food && item.food.isVisibleTo(viewer))
+    .map(item => ({ food: item.food, note: item.note, addedAt: item.addedAt }));
+
+  if (isOwner && collection.visibility !== 'private') {
+    result.shareUrl = `${getBaseUrl(req)}/api/collections/shared/${collection.shareToken}`;
+  }
+  return result;
+};
+
+// Summaries for listings - item counts rather than the recipes themselves
+const summarize = (collection) => {
+  const { items, ...summary } = collection;
+  return { ...summary, itemCount: items.length };
+};
+
+// Copy another collection (or one of the user's own) into a new private one,
+// keeping only the recipes the user can see
+const copyCollection = async (source, user, name) => {
+  await source.populate({ path: 'items.food', select: 'status moderation createdBy' });
+
+  const copy = await Collection.create({
+    owner: user._id,
+    name: name || source.name,
+    description: source.description,
+    items: source.items
+      .filter(item => item.food && item.food.isVisibleTo(user))
+      .map(item => ({ food: item.food._id, note: item.note })),
+    copiedFrom: source._id
+  });
+
+  if (!source.isOwnedBy(user)) {
+    await Collection.updateOne({ _id: source._id }, { $inc: { copyCount: 1 } });
+  }
+  return copy;
+};
+
+// The entries the user can still see, in order. Positions and reordering count
+// only these, since hidden ones are left out of every response.
+const visibleItems = async (collection, user) => {
+  const foods = await Food.find({ _id: { $in: collection.items.map(item => item.food) } }).select('status moderation createdBy');
+  const visible = new Set(foods.filter(food => food.isVisibleTo(user)).map(food => food._id.toString()));
+  return collection.items.filter(item => visible.has(item.food.toString()));
+};
+
+// Where an entry goes in the full list to end up at a position (from 1) among the visible ones
+const insertIndex = (collection, visible, position) => {
+  if (!position || position > visible.length) return collection.items.length;
+  return collection.items.indexOf(visible[position - 1]);
+};
+
+const tooManyCollections = async (user) => {
+  return await Collection.countDocuments({ owner: user._id }) >= MAX_COLLECTIONS_PER_USER;
+};
+
+// @desc    Browse public collections
+// @route   GET /api/collections/public?search=iftar&owner=:userId
+// @access  Public
+router.get('/public', optionalAuth, [
+  query('search').optional().isString().trim().isLength({ max: 100 }),
+  query('owner').optional().isMongoId().withMessage('Invalid owner ID'),
+  query('sort').optional().isIn(['recent', 'popular']).withMessage('Sort must be recent or popular'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const skip = (page - 1) * limit;
+
+    const filter = { visibility: 'public', 'items.0': { $exists: true } };
+    if (req.query.owner) filter.owner = req.query.owner;
+    if (req.query.search) filter.$text = { $search: req.query.search };
+
+    const sort = req.query.sort === 'popular' ? { copyCount: -1, updatedAt: -1 } : { updatedAt: -1 };
+
+    const collections = await Collection.find(filter)
+      .select('owner name description visibility items copyCount updatedAt')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate('owner', 'name profile.avatar')
+      .lean();
+
+    const total = await Collection.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        collections: collections.map(summarize),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Open a collection from its share link (unlisted or public)
+// @route   GET /api/collections/shared/:token
+// @access  Public
+router.get('/shared/:token', optionalAuth, [
+  shareTokenValidator
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await Collection.findByShareToken(req.params.token);
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Copy a collection opened from its share link into your own
+// @route   POST /api/collections/shared/:token/copy
+// @access  Private
+router.post('/shared/:token/copy', protect, [
+  shareTokenValidator,
+  body('name').optional().isString().trim().isLength({ min: 1, max: 80 }).withMessage('Name must be 1-80 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const source = await Collection.findByShareToken(req.params.token);
+
+    if (!source) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    if (await tooManyCollections(req.user)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can have at most ${MAX_COLLECTIONS_PER_USER} collections`
+      });
+    }
+
+    const copy = await copyCollection(source, req.user, req.body.name);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Collection copied',
+      data: { collection: await collectionResponse(copy, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a collection - public ones are open to anyone, the rest only to their owner
+// @route   GET /api/collections/:id
+// @access  Public/Private
+router.get('/:id', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid collection ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id).select('+shareToken');
+
+    if (!collection || !collection.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Everything else belongs to the signed-in user
+router.use(protect);
+
+// @desc    Get the user's collections
+// @route   GET /api/collections
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id })
+      .select('name description visibility items copiedFrom copyCount createdAt updatedAt')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      status: 'success',
+      data: { collections: collections.map(summarize) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a collection
+// @route   POST /api/collections
+// @access  Private
+router.post('/', [
+  body('name').exists().withMessage('Collection name is required'),
+  ...collectionValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    if (await tooManyCollections(req.user)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can have at most ${MAX_COLLECTIONS_PER_USER} collections`
+      });
+    }
+
+    const collection = await Collection.create({
+      owner: req.user._id,
+      name: req.body.name,
+      description: req.body.description,
+      visibility: req.body.visibility
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename a collection or change its description or visibility
+// @route   PUT /api/collections/:id
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid collection ID'),
+  ...collectionValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    ['name', 'description', 'visibility'].forEach(field => {
+      if (req.body[field] !== undefined) collection[field] = req.body[field];
+    });
+    await collection.save();
+
+    res.json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a collection
+// @route   DELETE /api/collections/:id
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid collection ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await Collection.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Collection deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a new share link - the old one stops working
+// @route   POST /api/collections/:id/share-link
+// @access  Private
+router.post('/:id/share-link', [
+  param('id').isMongoId().withMessage('Invalid collection ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.visibility === 'private') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Make the collection unlisted or public to share it'
+      });
+    }
+
+    const token = collection.createShareToken();
+    await collection.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'New share link created - the previous link no longer works',
+      data: {
+        shareUrl: `${getBaseUrl(req)}/api/collections/shared/${token}`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Copy a public collection (or one of your own) into a new collection
+// @route   POST /api/collections/:id/copy
+// @access  Private
+router.post('/:id/copy', [
+  param('id').isMongoId().withMessage('Invalid collection ID'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 80 }).withMessage('Name must be 1-80 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const source = await Collection.findById(req.params.id);
+
+    if (!source || !source.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    if (await tooManyCollections(req.user)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can have at most ${MAX_COLLECTIONS_PER_USER} collections`
+      });
+    }
+
+    const copy = await copyCollection(source, req.user, req.body.name);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Collection copied',
+      data: { collection: await collectionResponse(copy, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a recipe to a collection
+// @route   POST /api/collections/:id/items
+// @access  Private
+router.post('/:id/items', [
+  param('id').isMongoId().withMessage('Invalid collection ID'),
+  body('food').isMongoId().withMessage('Invalid food ID'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive integer')
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    const food = await Food.findById(req.body.food).select('status moderation createdBy');
+
+    if (!food || !food.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    if (collection.findItem(food._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This recipe is already in the collection'
+      });
+    }
+
+    // Positions count from 1; without one the recipe goes at the end
+    const index = insertIndex(collection, await visibleItems(collection, req.user), req.body.position);
+    collection.items.splice(index, 0, { food: food._id, note: req.body.note });
+    await collection.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reorder a collection - foods lists every recipe shown in it, in the new
+//          order. Recipes that are no longer visible stay at the end.
+// @route   PUT /api/collections/:id/items/order
+// @access  Private
+router.put('/:id/items/order', [
+  param('id').isMongoId().withMessage('Invalid collection ID'),
+  body('foods').isArray().withMessage('Foods must be an array of food IDs'),
+  body('foods.*').isMongoId().withMessage('Invalid food ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    const order = req.body.foods;
+    const visible = await visibleItems(collection, req.user);
+    const sameRecipes = order.length === visible.length &&
+      new Set(order).size === order.length &&
+      order.every(foodId => visible.includes(collection.findItem(foodId)));
+
+    if (!sameRecipes) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'List every recipe in the collection exactly once'
+      });
+    }
+
+    const hidden = collection.items.filter(item => !visible.includes(item));
+    collection.items = [
+      ...order.map(foodId => collection.findItem(foodId)),
+      ...hidden
+    ].map(item => item.toObject());
+    await collection.save();
+
+    res.json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change a recipe's note or move it to another position
+// @route   PUT /api/collections/:id/items/:foodId
+// @access  Private
+router.put('/:id/items/:foodId', [
+  param('id').isMongoId().withMessage('Invalid collection ID'),
+  param('foodId').isMongoId().withMessage('Invalid food ID'),
+  body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive integer')
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+    const item = collection && collection.findItem(req.params.foodId);
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Recipe not found in collection'
+      });
+    }
+
+    if (req.body.note !== undefined) item.note = req.body.note || undefined;
+
+    if (req.body.position) {
+      const entry = item.toObject();
+      collection.items.splice(collection.items.indexOf(item), 1);
+      const index = insertIndex(collection, await visibleItems(collection, req.user), req.body.position);
+      collection.items.splice(index, 0, entry);
+    }
+    await collection.save();
+
+    res.json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove a recipe from a collection
+// @route   DELETE /api/collections/:id/items/:foodId
+// @access  Private
+router.delete('/:id/items/:foodId', [
+  param('id').isMongoId().withMessage('Invalid collection ID'),
+  param('foodId').isMongoId().withMessage('Invalid food ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const collection = await Collection.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id, 'items.food': req.params.foodId },
+      { $pull: { items: { food: req.params.foodId } } },
+      { new: true }
+    ).select('+shareToken');
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Recipe not found in collection'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { collection: await collectionResponse(collection, req.user, req) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,79 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const Food = require('../models/Food');
-const { protect, optionalAuth } = require('../middleware/auth');
+const Review = require('../models/Review');
+const FoodRevision = require('../models/FoodRevision');
+const Collection = require('../models/Collection');
+const MealPlan = require('../models/MealPlan');
+const ShoppingList = require('../models/ShoppingList');
+const ScheduledCook = require('../models/ScheduledCook');
+const User = require('../models/User');
+const reviewRoutes = require('./reviews');
+const { protect, authorize, optionalAuth, apiKeyScope } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validateRequest');
+const { reportValidators, handleReport } = require('../utils/moderation');
+const { scaleIngredients } = require('../utils/recipeScaling');
+const { notifyUser } = require('../utils/notify');
+const { userAllergies, dietaryFilter, dietaryQueryValidators } = require('../utils/dietary');
+const { diffSnapshots, ensureBaseline, recordRevision, foodImages } = require('../utils/foodRevisions');
+const { storeImage, removeImages } = require('../utils/images');
+const { uploadImage } = require('../middleware/upload');
+const {
+  statuses,
+  isStaff,
+  isAuthor,
+  isReviewerFor,
+  nextStatuses,
+  checkTransition,
+  applyTransition,
+  resubmitIfLive,
+  notifyTransition,
+  notifyComment
+} = require('../utils/recipeWorkflow');
 
 const router = express.Router();
 
+// Re-route into review routes
+router.use('/:foodId/reviews', reviewRoutes);
+
+// Save an author's or admin's edit: the change is kept as a revision, and a
+// live recipe edited by its author goes back for review
+const saveEdit = async (food, user, previous) => {
+  const changes = diffSnapshots(previous, food.revisionSnapshot());
+  if (changes.length) await ensureBaseline(food, previous);
+  const resubmitted = changes.length > 0 && resubmitIfLive(food, user);
+
+  await food.save();
+
+  const revision = changes.length
+    ? await recordRevision(food, { editor: user._id, action: 'update', previous })
+    : null;
+  if (resubmitted) await notifyTransition(food, 'submitted', { actor: user });
+
+  return { revision, resubmitted };
+};
+
+const editMessage = ({ revision, resubmitted }) => {
+  if (!revision) return 'No changes to the recipe';
+  return `Saved as revision ${revision.revision}${resubmitted ? ' and sent back for review' : ''}`;
+};
+
+// Revision history and review comments are open to the author and to staff
+const canViewRevisions = (user, food) => {
+  return isStaff(user) || isAuthor(user, food);
+};
+
 // @desc    Get all foods with filtering and pagination
 // @route   GET /api/foods
 // @access  Public
-router.get('/', [
+router.get('/', apiKeyScope('foods:read'), optionalAuth, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('category').optional().isIn(['main-course', 'appetizer', 'dessert', 'beverage', 'snack', 'bread', 'curry', 'rice']),
   query('cuisine').optional().isIn(['north-indian', 'south-indian', 'gujarati', 'punjabi', 'bengali', 'rajasthani', 'maharastrian', 'kerala', 'hyderabadi', 'street-food']),
   query('difficulty').optional().isIn(['easy', 'medium', 'hard']),
   query('isVegetarian').optional().isBoolean(),
+  ...dietaryQueryValidators,
   query('spiceLevel').optional().isIn(['mild', 'medium', 'hot', 'extra-hot']),
   query('search').optional().isString().trim(),
   query('sort').optional().isIn(['name', 'popularity', 'rating', 'createdAt', 'totalTime']),
@@ -26,8 +84,12 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
+    // Build filter object - hidden foods never show up in listings, and
+    // neither does anything the signed-in user is allergic to
+    const filter = Food.publicFilter(dietaryFilter({
+      allergies: [...new Set([...userAllergies(req.user), ...(req.query.excludeAllergens || [])])],
+      diets: req.query.diet
+    }));
     
     if (req.query.category) filter.category = req.query.category;
     if (req.query.cuisine) filter.cuisine = req.query.cuisine;
@@ -92,9 +154,9 @@ router.get('/', [
 // @desc    Get featured foods
 // @route   GET /api/foods/featured
 // @access  Public
-router.get('/featured', async (req, res, next) => {
+router.get('/featured', apiKeyScope('foods:read'), optionalAuth, async (req, res, next) => {
   try {
-    const foods = await Food.getFeatured()
+    const foods = await Food.getFeatured(dietaryFilter({ allergies: userAllergies(req.user) }))
       .limit(8)
       .populate('createdBy', 'name profile.avatar');
 
@@ -107,40 +169,235 @@ router.get('/featured', async (req, res, next) => {
   }
 });
 
-// @desc    Get food by ID
-// @route   GET /api/foods/:id
+// @desc    Foods whose hand-entered nutrition is well off the computed values
+// @route   GET /api/foods/nutrition/divergent
+// @access  Private (Admin/Chef)
+router.get('/nutrition/divergent', protect, authorize('admin', 'chef'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { 'computedNutrition.divergent': true };
+
+    const foods = await Food.find(filter)
+      .select('name servings nutrition computedNutrition createdBy')
+      .sort({ popularity: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy', 'name');
+
+    const total = await Food.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        foods,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    The signed-in user's own recipes, whatever their status
+// @route   GET /api/foods/mine?status=draft
+// @access  Private
+router.get('/mine', protect, [
+  query('status').optional().isIn(statuses).withMessage(`Status must be one of: ${statuses.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { createdBy: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const foods = await Food.find(filter)
+      .select('name category cuisine imageUrl status review moderation createdAt updatedAt')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('review.reviewer', 'name');
+
+    const total = await Food.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        foods,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Recipes waiting on a reviewer, oldest submission first
+// @route   GET /api/foods/review-queue?status=submitted&assigned=me|unassigned
+// @access  Private (Admin/Chef)
+router.get('/review-queue', protect, authorize('admin', 'chef'), [
+  query('status').optional().isIn(['submitted', 'changes-requested']).withMessage('Status must be submitted or changes-requested'),
+  query('assigned').optional().isIn(['me', 'unassigned']).withMessage('Assigned must be me or unassigned'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'submitted' };
+    if (req.query.assigned === 'me') filter['review.reviewer'] = req.user._id;
+    if (req.query.assigned === 'unassigned') filter['review.reviewer'] = { $exists: false };
+
+    const foods = await Food.find(filter)
+      .select('name category cuisine imageUrl status review createdBy')
+      .sort({ 'review.submittedAt': 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy', 'name')
+      .populate('review.reviewer', 'name');
+
+    const total = await Food.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        foods,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get food by ID, optionally scaled to a number of servings and unit system
+// @route   GET /api/foods/:id?servings=12&units=metric|us|desi
 // @access  Public
-router.get('/:id', [
-  param('id').isMongoId().withMessage('Invalid food ID')
+router.get('/:id', apiKeyScope('foods:read'), optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  query('servings').optional().isInt({ min: 1, max: 100 }).withMessage('Servings must be between 1 and 100'),
+  query('units').optional().isIn(['metric', 'us', 'desi']).withMessage('Units must be metric, us or desi')
 ], validateRequest, async (req, res, next) => {
   try {
     const food = await Food.findById(req.params.id)
       .populate('createdBy', 'name profile.avatar');
 
-    if (!food) {
+    if (!food || !food.isVisibleTo(req.user)) {
       return res.status(404).json({
         status: 'error',
         message: 'Food not found'
       });
     }
 
-    // Increment popularity
-    food.popularity += 1;
-    await food.save();
+    // Increment popularity - authors and reviewers looking at unpublished drafts don't count
+    if (food.status === 'published') {
+      food.popularity += 1;
+      await food.save();
+    }
+
+    if (!req.query.servings && !req.query.units) {
+      return res.json({
+        status: 'success',
+        data: { food }
+      });
+    }
+
+    const servings = parseInt(req.query.servings) || food.servings;
+    const scaledFood = food.toJSON();
+    scaledFood.ingredients = scaleIngredients(food.ingredients, food.servings, servings, req.query.units);
+    scaledFood.servings = servings;
 
     res.json({
       status: 'success',
-      data: { food }
+      data: {
+        food: scaledFood,
+        scaling: {
+          originalServings: food.servings,
+          servings,
+          factor: servings / food.servings,
+          units: req.query.units || 'original'
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Nutrition per serving worked out from the ingredients, with a per-ingredient breakdown
+// @route   GET /api/foods/:id/nutrition
+// @access  Public
+router.get('/:id/nutrition', apiKeyScope('foods:read'), optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid food ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id);
+
+    if (!food || !food.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const { perServing, coverage, missingIngredients, breakdown, divergence } = await Food.computeNutrition(food);
+
+    res.json({
+      status: 'success',
+      data: {
+        food: { _id: food._id, name: food.name, servings: food.servings },
+        manual: food.nutrition,
+        computed: perServing,
+        coverage,
+        missingIngredients,
+        breakdown,
+        divergence
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Create new food
+// @desc    Create new food - starts as a draft, or submitted for review with { submit: true }
 // @route   POST /api/foods
-// @access  Private (Admin/Chef)
-router.post('/', protect, [
+// @access  Private
+router.post('/', apiKeyScope('foods:write'), protect, [
   body('name').notEmpty().withMessage('Food name is required'),
   body('description').notEmpty().withMessage('Description is required'),
   body('category').isIn(['main-course', 'appetizer', 'dessert', 'beverage', 'snack', 'bread', 'curry', 'rice']),
@@ -150,15 +407,32 @@ router.post('/', protect, [
   body('cookTime').isInt({ min: 1 }).withMessage('Cooking time must be a positive integer'),
   body('servings').isInt({ min: 1 }).withMessage('Servings must be a positive integer'),
   body('ingredients').isArray({ min: 1 }).withMessage('At least one ingredient is required'),
-  body('instructions').isArray({ min: 1 }).withMessage('At least one instruction is required')
+  body('instructions').isArray({ min: 1 }).withMessage('At least one instruction is required'),
+  body('submit').optional().isBoolean().withMessage('Submit must be a boolean')
 ], validateRequest, async (req, res, next) => {
   try {
     const foodData = {
-      ...req.body,
-      createdBy: req.user._id
+      createdBy: req.user._id,
+      status: 'draft'
     };
+    Food.editableFields.forEach(field => {
+      if (req.body[field] !== undefined) foodData[field] = req.body[field];
+    });
+
+    if (req.body.featured !== undefined && req.user.role === 'admin') {
+      foodData.featured = req.body.featured;
+    }
+    // Overrides decide what the allergen filters let through, so only staff set them
+    if (req.body.dietaryOverrides !== undefined && isStaff(req.user)) {
+      foodData.dietaryOverrides = req.body.dietaryOverrides;
+    }
+    if (req.body.submit === true) {
+      foodData.status = 'submitted';
+      foodData.review = { submittedAt: new Date() };
+    }
 
     const food = await Food.create(foodData);
+    await recordRevision(food, { editor: req.user._id, action: 'create' });
 
     res.status(201).json({
       status: 'success',
@@ -169,10 +443,10 @@ router.post('/', protect, [
   }
 });
 
-// @desc    Update food
+// @desc    Update food - every change is kept as a revision
 // @route   PUT /api/foods/:id
-// @access  Private (Admin/Chef)
-router.put('/:id', protect, [
+// @access  Private (Admin/Author)
+router.put('/:id', apiKeyScope('foods:write'), protect, [
   param('id').isMongoId().withMessage('Invalid food ID')
 ], validateRequest, async (req, res, next) => {
   try {
@@ -186,22 +460,41 @@ router.put('/:id', protect, [
     }
 
     // Check if user is authorized to update
-    if (req.user.role !== 'admin' && food.createdBy.toString() !== req.user._id.toString()) {
+    if (req.user.role !== 'admin' && !isAuthor(req.user, food)) {
       return res.status(403).json({
         status: 'error',
         message: 'Not authorized to update this food'
       });
     }
 
-    const updatedFood = await Food.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name profile.avatar');
+    const previous = food.revisionSnapshot();
+    Food.editableFields.forEach(field => {
+      if (req.body[field] !== undefined) food.set(field, req.body[field]);
+    });
+
+    // Featuring is curation rather than part of the recipe - admins only, and not versioned
+    if (req.body.featured !== undefined && req.user.role === 'admin') {
+      food.featured = req.body.featured;
+    }
+    // Overrides decide what the allergen filters let through, so only staff set them
+    if (req.body.dietaryOverrides !== undefined && isStaff(req.user)) {
+      food.dietaryOverrides = req.body.dietaryOverrides;
+    }
+
+    const edit = await saveEdit(food, req.user, previous);
+    const { revision } = edit;
+    await food.populate('createdBy', 'name profile.avatar');
 
     res.json({
       status: 'success',
-      data: { food: updatedFood }
+      message: editMessage(edit),
+      data: {
+        food,
+        revision: revision && {
+          revision: revision.revision,
+          changedFields: revision.changedFields
+        }
+      }
     });
   } catch (error) {
     next(error);
@@ -232,7 +525,21 @@ router.delete('/:id', protect, [
       });
     }
 
+    const images = await foodImages([food._id]);
+
     await Food.findByIdAndDelete(req.params.id);
+    await Review.deleteMany({ food: req.params.id });
+    await FoodRevision.deleteMany({ food: req.params.id });
+    await Collection.updateMany({ 'items.food': food._id }, { $pull: { items: { food: food._id } } });
+    await MealPlan.updateMany({ 'entries.food': food._id }, { $pull: { entries: { food: food._id } } });
+    // Shopping lists keep their items - only the link back to the recipe goes
+    await ShoppingList.updateMany(
+      { $or: [{ 'recipes.food': food._id }, { 'items.recipes': food._id }] },
+      { $pull: { recipes: { food: food._id }, 'items.$[].recipes': food._id } }
+    );
+    await ScheduledCook.deleteMany({ food: food._id });
+    await User.updateMany({ 'stats.favoriteRecipes': food._id }, { $pull: { 'stats.favoriteRecipes': food._id } });
+    await removeImages(images).catch(error => console.error('❌ Failed to remove food images:', error.message));
 
     res.json({
       status: 'success',
@@ -243,34 +550,591 @@ router.delete('/:id', protect, [
   }
 });
 
+// Load a food for an edit by its author or an admin, answering 404/403 otherwise
+const loadEditableFood = async (req, res) => {
+  const food = await Food.findById(req.params.id);
+
+  if (!food) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Food not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && !isAuthor(req.user, food)) {
+    res.status(403).json({
+      status: 'error',
+      message: 'Not authorized to update this food'
+    });
+    return null;
+  }
+
+  return food;
+};
+
+const findStep = (food, step) => food.instructions.find(instruction => instruction.step === parseInt(step));
+
+// @desc    Upload the recipe photo (multipart field "image") - stored as resized copies and kept as a revision
+// @route   POST /api/foods/:id/image
+// @access  Private (Admin/Author)
+router.post('/:id/image', apiKeyScope('foods:write'), protect, [
+  param('id').isMongoId().withMessage('Invalid food ID')
+], validateRequest, uploadImage('image'), async (req, res, next) => {
+  try {
+    const food = await loadEditableFood(req, res);
+    if (!food) return;
+
+    const previous = food.revisionSnapshot();
+    food.image = await storeImage(req.file.buffer, {
+      kind: 'recipe',
+      folder: `foods/${food._id}`,
+      uploadedBy: req.user._id
+    });
+    food.imageUrl = food.image.url;
+
+    const edit = await saveEdit(food, req.user, previous);
+
+    res.status(201).json({
+      status: 'success',
+      message: editMessage(edit),
+      data: {
+        image: food.image,
+        imageUrl: food.imageUrl,
+        revision: edit.revision && edit.revision.revision
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove the recipe photo (the files stay while a revision can restore them)
+// @route   DELETE /api/foods/:id/image
+// @access  Private (Admin/Author)
+router.delete('/:id/image', apiKeyScope('foods:write'), protect, [
+  param('id').isMongoId().withMessage('Invalid food ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await loadEditableFood(req, res);
+    if (!food) return;
+
+    const previous = food.revisionSnapshot();
+    food.image = undefined;
+    food.imageUrl = '';
+
+    const edit = await saveEdit(food, req.user, previous);
+
+    res.json({
+      status: 'success',
+      message: editMessage(edit),
+      data: {
+        revision: edit.revision && edit.revision.revision
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Upload a photo for one instruction step (multipart field "image")
+// @route   POST /api/foods/:id/instructions/:step/image
+// @access  Private (Admin/Author)
+router.post('/:id/instructions/:step/image', apiKeyScope('foods:write'), protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  param('step').isInt({ min: 1 }).withMessage('Invalid step number')
+], validateRequest, uploadImage('image'), async (req, res, next) => {
+  try {
+    const food = await loadEditableFood(req, res);
+    if (!food) return;
+
+    const instruction = findStep(food, req.params.step);
+
+    if (!instruction) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Step not found'
+      });
+    }
+
+    const previous = food.revisionSnapshot();
+    instruction.image = await storeImage(req.file.buffer, {
+      kind: 'step',
+      folder: `foods/${food._id}/steps`,
+      uploadedBy: req.user._id
+    });
+
+    const edit = await saveEdit(food, req.user, previous);
+
+    res.status(201).json({
+      status: 'success',
+      message: editMessage(edit),
+      data: {
+        step: instruction.step,
+        image: instruction.image,
+        revision: edit.revision && edit.revision.revision
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove an instruction step's photo
+// @route   DELETE /api/foods/:id/instructions/:step/image
+// @access  Private (Admin/Author)
+router.delete('/:id/instructions/:step/image', apiKeyScope('foods:write'), protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  param('step').isInt({ min: 1 }).withMessage('Invalid step number')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await loadEditableFood(req, res);
+    if (!food) return;
+
+    const instruction = findStep(food, req.params.step);
+
+    if (!instruction) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Step not found'
+      });
+    }
+
+    const previous = food.revisionSnapshot();
+    instruction.image = undefined;
+
+    const edit = await saveEdit(food, req.user, previous);
+
+    res.json({
+      status: 'success',
+      message: editMessage(edit),
+      data: {
+        step: instruction.step,
+        revision: edit.revision && edit.revision.revision
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List a food's revisions, newest first
+// @route   GET /api/foods/:id/revisions
+// @access  Private (Admin/Chef/Author)
+router.get('/:id/revisions', protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const food = await Food.findById(req.params.id).select('name createdBy');
+
+    if (!food || !canViewRevisions(req.user, food)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const revisions = await FoodRevision.find({ food: food._id })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('editor', 'name');
+
+    const total = await FoodRevision.countDocuments({ food: food._id });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        food: { _id: food._id, name: food.name },
+        revisions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Field-level diff between two revisions (defaults: the latest against the one before)
+// @route   GET /api/foods/:id/revisions/diff?from=2&to=5
+// @access  Private (Admin/Chef/Author)
+router.get('/:id/revisions/diff', protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  query('from').optional().isInt({ min: 1 }).withMessage('From must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To must be a revision number')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id).select('name createdBy');
+
+    if (!food || !canViewRevisions(req.user, food)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const latest = await FoodRevision.latestFor(food._id).select('revision');
+    const to = parseInt(req.query.to) || (latest ? latest.revision : 1);
+    const from = parseInt(req.query.from) || Math.max(to - 1, 1);
+
+    const revisions = await FoodRevision.find({ food: food._id, revision: { $in: [from, to] } });
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        from,
+        to,
+        changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get one revision with the full recipe as it was
+// @route   GET /api/foods/:id/revisions/:revision
+// @access  Private (Admin/Chef/Author)
+router.get('/:id/revisions/:revision', protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  param('revision').isInt({ min: 1 }).withMessage('Invalid revision number')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id).select('name createdBy');
+
+    if (!food || !canViewRevisions(req.user, food)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const revision = await FoodRevision.findOne({ food: food._id, revision: parseInt(req.params.revision) })
+      .populate('editor', 'name');
+
+    if (!revision) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { revision }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore a food to an earlier revision (recorded as a new revision)
+// @route   POST /api/foods/:id/revisions/:revision/rollback
+// @access  Private (Admin/Author)
+router.post('/:id/revisions/:revision/rollback', apiKeyScope('foods:write'), protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  param('revision').isInt({ min: 1 }).withMessage('Invalid revision number')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id);
+
+    if (!food) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !isAuthor(req.user, food)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to roll back this food'
+      });
+    }
+
+    const target = await FoodRevision.findOne({ food: food._id, revision: parseInt(req.params.revision) });
+
+    if (!target) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found'
+      });
+    }
+
+    const previous = food.revisionSnapshot();
+
+    if (!diffSnapshots(previous, target.snapshot).length) {
+      return res.status(400).json({
+        status: 'error',
+        message: `The recipe already matches revision ${target.revision}`
+      });
+    }
+
+    await ensureBaseline(food, previous);
+    Food.editableFields.forEach(field => {
+      food.set(field, target.snapshot[field]);
+    });
+    const resubmitted = resubmitIfLive(food, req.user);
+    await food.save();
+
+    const revision = await recordRevision(food, {
+      editor: req.user._id,
+      action: 'rollback',
+      previous,
+      restoredFrom: target.revision
+    });
+    if (resubmitted) await notifyTransition(food, 'submitted', { actor: req.user });
+    await food.populate('createdBy', 'name profile.avatar');
+
+    res.json({
+      status: 'success',
+      message: `Restored revision ${target.revision} as revision ${revision.revision}${resubmitted ? ' and sent back for review' : ''}`,
+      data: {
+        food,
+        revision: {
+          revision: revision.revision,
+          restoredFrom: target.revision,
+          changedFields: revision.changedFields
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    A recipe's review status, reviewer and comments, plus the statuses the user can move it to
+// @route   GET /api/foods/:id/workflow
+// @access  Private (Admin/Chef/Author)
+router.get('/:id/workflow', protect, [
+  param('id').isMongoId().withMessage('Invalid food ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id)
+      .select('name createdBy status review +review.comments')
+      .populate('review.reviewer', 'name')
+      .populate('review.comments.author', 'name role');
+
+    if (!food || !canViewRevisions(req.user, food)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        food: { _id: food._id, name: food.name, status: food.status },
+        review: food.review,
+        nextStatuses: nextStatuses(food, req.user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Move a recipe through the workflow: submit, withdraw, publish, request changes, archive
+// @route   POST /api/foods/:id/status
+// @access  Private (Author for submit/withdraw/archive, reviewer for publish/request changes)
+router.post('/:id/status', apiKeyScope('foods:write'), protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  body('status').isIn(statuses).withMessage(`Status must be one of: ${statuses.join(', ')}`),
+  body('comment').optional().isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be 1-1000 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id).select('+review.comments');
+
+    if (!food || !canViewRevisions(req.user, food)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const problem = checkTransition(food, req.user, req.body.status, req.body.comment);
+    if (problem) {
+      return res.status(problem.status).json({
+        status: 'error',
+        message: problem.message
+      });
+    }
+
+    applyTransition(food, req.user, req.body.status, req.body.comment);
+    await food.save();
+    await notifyTransition(food, food.status, { actor: req.user, comment: req.body.comment });
+
+    res.json({
+      status: 'success',
+      message: `Recipe is now ${food.status}`,
+      data: {
+        food: { _id: food._id, name: food.name, status: food.status },
+        review: food.review,
+        nextStatuses: nextStatuses(food, req.user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Assign a reviewer to a recipe awaiting review - chefs can claim it or hand it on
+// @route   POST /api/foods/:id/reviewer
+// @access  Private (Admin, or Chef who is the reviewer or when none is assigned)
+router.post('/:id/reviewer', protect, authorize('admin', 'chef'), [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  body('reviewer').isMongoId().withMessage('Invalid reviewer ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id).select('name createdBy status review');
+
+    if (!food) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    if (!isReviewerFor(req.user, food)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This recipe is already assigned to another reviewer'
+      });
+    }
+
+    if (!['submitted', 'changes-requested'].includes(food.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A ${food.status} recipe is not awaiting review`
+      });
+    }
+
+    const reviewer = await User.findById(req.body.reviewer).select('name email role preferences');
+
+    if (!reviewer || !isStaff(reviewer)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reviewer must be a chef or admin'
+      });
+    }
+
+    if (isAuthor(reviewer, food)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Authors cannot review their own recipes'
+      });
+    }
+
+    food.review.reviewer = reviewer._id;
+    food.review.assignedAt = new Date();
+    await food.save();
+
+    if (reviewer._id.toString() !== req.user._id.toString()) {
+      await notifyUser(reviewer, {
+        type: 'recipe-review',
+        title: 'Recipe assigned to you for review',
+        body: `${req.user.name} asked you to review ${food.name}.`,
+        link: `/recipes/${food._id}`
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `${reviewer.name} is now reviewing this recipe`,
+      data: {
+        food: { _id: food._id, name: food.name, status: food.status },
+        reviewer: { _id: reviewer._id, name: reviewer.name }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Comment on a recipe's review
+// @route   POST /api/foods/:id/comments
+// @access  Private (Admin/Chef/Author)
+router.post('/:id/comments', protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  body('body').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be 1-1000 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id).select('name createdBy status review');
+
+    if (!food || !canViewRevisions(req.user, food)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const comment = { author: req.user._id, body: req.body.body, createdAt: new Date() };
+    // Pushed directly - the rest of the conversation isn't loaded
+    await Food.updateOne({ _id: food._id }, { $push: { 'review.comments': comment } });
+    await notifyComment(food, { actor: req.user, body: comment.body });
+
+    res.status(201).json({
+      status: 'success',
+      data: { comment }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Rate food
 // @route   POST /api/foods/:id/rate
 // @access  Private
 router.post('/:id/rate', protect, [
   param('id').isMongoId().withMessage('Invalid food ID'),
-  body('rating').isFloat({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
 ], validateRequest, async (req, res, next) => {
   try {
     const food = await Food.findById(req.params.id);
 
-    if (!food) {
+    if (!food || !food.isVisibleTo(req.user)) {
       return res.status(404).json({
         status: 'error',
         message: 'Food not found'
       });
     }
 
-    // Update rating (simplified - in production, you'd want to track individual user ratings)
-    const newRating = req.body.rating;
-    const currentAverage = food.rating.average;
-    const currentCount = food.rating.count;
-    
-    const newAverage = ((currentAverage * currentCount) + newRating) / (currentCount + 1);
-    
-    food.rating.average = Math.round(newAverage * 10) / 10; // Round to 1 decimal
-    food.rating.count += 1;
-    
-    await food.save();
+    // One rating per user - rating again updates the user's existing review
+    let review = await Review.findOne({ food: food._id, user: req.user._id });
+
+    if (review) {
+      review.rating = req.body.rating;
+    } else {
+      review = new Review({ food: food._id, user: req.user._id, rating: req.body.rating });
+    }
+    // Saving the review recomputes the food's aggregate rating
+    await review.save();
+    const { rating } = await Food.findById(food._id).select('rating');
 
     res.json({
       status: 'success',
@@ -278,7 +1142,7 @@ router.post('/:id/rate', protect, [
         food: {
           _id: food._id,
           name: food.name,
-          rating: food.rating
+          rating
         }
       }
     });
@@ -287,4 +1151,28 @@ router.post('/:id/rate', protect, [
   }
 });
 
+// @desc    Report a food (spam, copied content, abuse...)
+// @route   POST /api/foods/:id/report
+// @access  Private
+router.post('/:id/report', protect, [
+  param('id').isMongoId().withMessage('Invalid food ID'),
+  ...reportValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.id);
+
+    if (!food || !food.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    req.reportTarget = food;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, handleReport('food'));
+
 module.exports = router;
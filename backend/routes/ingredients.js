@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Ingredient = require('../models/Ingredient');
+const Food = require('../models/Food');
+const { protect, authorize, optionalAuth, apiKeyScope } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { escapeRegExp, wordRegExp, linkFoodIngredients } = require('../utils/ingredientMatching');
+const { allergenTypes, userAllergies, dietaryFilter, dietaryQueryValidators } = require('../utils/dietary');
+
+const router = express.Router();
+
+const categories = ['vegetable', 'fruit', 'herb', 'spice', 'grain', 'flour', 'legume', 'dairy', 'meat', 'poultry', 'seafood', 'egg', 'oil-fat', 'nut-seed', 'sweetener', 'condiment', 'other'];
+const languages = ['en', 'hi', 'ur', 'bn', 'gu', 'kn', 'ml', 'mr', 'pa', 'ta', 'te', 'other'];
+
+const synonymValidators = [
+  body('synonyms').optional().isArray({ max: 30 }).withMessage('Synonyms must be an array of at most 30 entries'),
+  body('synonyms.*.term').isString().trim().notEmpty().withMessage('Each synonym needs a term'),
+  body('synonyms.*.language').optional().isIn(languages).withMessage('Invalid synonym language')
+];
+
+const allergenValidators = [
+  body('allergens').optional().isArray().withMessage('Allergens must be an array'),
+  body('allergens.*').isIn(allergenTypes).withMessage(`Allergens must be one of: ${allergenTypes.join(', ')}`)
+];
+
+const nutritionValidators = [
+  body('nutrition').optional().isObject().withMessage('Nutrition must be an object'),
+  ...['calories', 'protein', 'carbs', 'fat', 'fiber'].map(field =>
+    body(`nutrition.per100g.${field}`).optional().isFloat({ min: 0 }).withMessage(`${field} per 100 g must be a non-negative number`)
+  ),
+  body('nutrition.gramsPerMl').optional().isFloat({ min: 0, max: 5 }).withMessage('Grams per ml must be between 0 and 5'),
+  body('nutrition.unitWeights').optional().isObject().withMessage('Unit weights must map units to grams'),
+  body('nutrition.unitWeights.*').isFloat({ min: 0 }).withMessage('Unit weights must be in grams')
+];
+
+// Link foods whose free-text ingredients mention any name of this catalog entry,
+// then recompute their nutrition, allergens and diets against the updated catalog
+const relinkFoodsFor = async (ingredient) => {
+  const filter = {
+    $or: [
+      { 'ingredients.name': { $in: ingredient.allNames().map(wordRegExp) } },
+      { 'ingredients.ingredient': ingredient._id }
+    ]
+  };
+
+  const linked = await linkFoodIngredients(filter);
+  await Food.refreshDerivedFields(filter);
+  return linked;
+};
+
+// @desc    Search the ingredient catalog
+// @route   GET /api/ingredients
+// @access  Public
+router.get('/', apiKeyScope('foods:read'), optionalAuth, [
+  query('search').optional().isString().trim(),
+  query('category').optional().isIn(categories),
+  ...dietaryQueryValidators,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    // The signed-in user's allergies are always left out
+    const filter = dietaryFilter({
+      allergies: [...new Set([...userAllergies(req.user), ...(req.query.excludeAllergens || [])])],
+      diets: req.query.diet
+    });
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.search) {
+      // Prefix match on the normalised name and every synonym
+      filter.searchTerms = new RegExp(`^${escapeRegExp(Ingredient.termKey(req.query.search))}`);
+    }
+
+    const ingredients = await Ingredient.find(filter)
+      .select('-searchTerms')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Ingredient.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        ingredients,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get an ingredient and the number of recipes using it
+// @route   GET /api/ingredients/:id
+// @access  Public
+router.get('/:id', apiKeyScope('foods:read'), optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid ingredient ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id).select('-searchTerms');
+
+    if (!ingredient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ingredient not found'
+      });
+    }
+
+    const recipeCount = await Food.countDocuments(Food.publicFilter({ 'ingredients.ingredient': ingredient._id }));
+
+    res.json({
+      status: 'success',
+      data: { ingredient, recipeCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add an ingredient to the catalog
+// @route   POST /api/ingredients
+// @access  Private (Admin/Chef)
+router.post('/', protect, authorize('admin', 'chef'), [
+  body('name').isString().trim().notEmpty().withMessage('Ingredient name is required'),
+  body('category').isIn(categories).withMessage('Invalid ingredient category'),
+  ...synonymValidators,
+  ...allergenValidators,
+  ...nutritionValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const { name, category, synonyms = [], allergens = [], nutrition } = req.body;
+
+    const existing = await Ingredient.findByTerm(name);
+    if (existing) {
+      return res.status(409).json({
+        status: 'error',
+        message: `"${name}" is already in the catalog as "${existing.name}"`
+      });
+    }
+
+    const ingredient = await Ingredient.create({ name, category, synonyms, allergens, nutrition });
+    const linkedFoods = await relinkFoodsFor(ingredient);
+
+    res.status(201).json({
+      status: 'success',
+      data: { ingredient, linkedFoods }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update an ingredient's name, category, synonyms, allergens or nutrient data
+// @route   PUT /api/ingredients/:id
+// @access  Private (Admin/Chef)
+router.put('/:id', protect, authorize('admin', 'chef'), [
+  param('id').isMongoId().withMessage('Invalid ingredient ID'),
+  body('name').optional().isString().trim().notEmpty().withMessage('Ingredient name cannot be empty'),
+  body('category').optional().isIn(categories).withMessage('Invalid ingredient category'),
+  ...synonymValidators,
+  ...allergenValidators,
+  ...nutritionValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+
+    if (!ingredient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ingredient not found'
+      });
+    }
+
+    ['name', 'category', 'synonyms', 'allergens', 'nutrition'].forEach(field => {
+      if (req.body[field] !== undefined) ingredient[field] = req.body[field];
+    });
+    await ingredient.save();
+
+    const linkedFoods = await relinkFoodsFor(ingredient);
+
+    res.json({
+      status: 'success',
+      data: { ingredient, linkedFoods }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove an ingredient from the catalog
+// @route   DELETE /api/ingredients/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), [
+  param('id').isMongoId().withMessage('Invalid ingredient ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const ingredient = await Ingredient.findByIdAndDelete(req.params.id);
+
+    if (!ingredient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ingredient not found'
+      });
+    }
+
+    // Foods keep their free-text ingredient, just without the catalog link
+    const foodIds = await Food.distinct('_id', { 'ingredients.ingredient': ingredient._id });
+    await Food.updateMany(
+      { 'ingredients.ingredient': ingredient._id },
+      { $unset: { 'ingredients.$[item].ingredient': 1 } },
+      { arrayFilters: [{ 'item.ingredient': ingredient._id }] }
+    );
+    await Food.refreshDerivedFields({ _id: { $in: foodIds } });
+
+    res.json({
+      status: 'success',
+      message: 'Ingredient removed from the catalog'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
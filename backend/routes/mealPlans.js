@@ -0,0 +1,355 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const MealPlan = require('../models/MealPlan');
+const Food = require('../models/Food');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { generateMealPlanEntries } = require('../utils/mealPlanner');
+
+const router = express.Router();
+
+router.use(protect);
+
+const planFoodFields = 'name category cuisine prepTime cookTime servings imageUrl isVegetarian spiceLevel';
+
+const generateValidators = [
+  body('slots').optional().isArray({ min: 1 }).withMessage('Slots must be a non-empty array'),
+  body('slots.*').isIn(MealPlan.mealSlots).withMessage(`Slots must be ${MealPlan.mealSlots.join(', ')}`),
+  body('servings').optional().isInt({ min: 1, max: 50 }).withMessage('Servings must be between 1 and 50')
+];
+
+const findOwnPlan = (req) => MealPlan.findOne({ _id: req.params.id, user: req.user._id });
+
+const notFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Meal plan not found'
+});
+
+// Populate a plan's foods and add up its cooking time
+const planResponse = async (plan) => {
+  await plan.populate('entries.food', planFoodFields);
+  plan.entries.sort((a, b) => a.date - b.date || MealPlan.mealSlots.indexOf(a.slot) - MealPlan.mealSlots.indexOf(b.slot));
+
+  const totalMinutes = plan.entries.reduce((total, entry) =>
+    total + (entry.food ? entry.food.prepTime + entry.food.cookTime : 0), 0);
+
+  return {
+    plan,
+    totalMinutes,
+    remainingMinutes: plan.timeBudgetMinutes ? Math.max(plan.timeBudgetMinutes - totalMinutes, 0) : null
+  };
+};
+
+// Fill empty slots and describe what couldn't be filled
+const autoFill = async (req, plan) => {
+  const { entries, unfilled } = await generateMealPlanEntries({
+    user: req.user,
+    plan,
+    slots: req.body.slots || ['lunch', 'dinner'],
+    servings: req.body.servings
+  });
+  plan.entries.push(...entries);
+  return unfilled;
+};
+
+// @desc    Get the user's meal plans, or the plan for the week containing ?week=
+// @route   GET /api/meal-plans
+// @access  Private
+router.get('/', [
+  query('week').optional().isISO8601().withMessage('Week must be a valid date')
+], validateRequest, async (req, res, next) => {
+  try {
+    if (req.query.week) {
+      const plan = await MealPlan.findOne({
+        user: req.user._id,
+        weekStart: MealPlan.startOfWeek(new Date(req.query.week))
+      });
+
+      if (!plan) return notFound(res);
+
+      return res.json({
+        status: 'success',
+        data: await planResponse(plan)
+      });
+    }
+
+    const plans = await MealPlan.find({ user: req.user._id })
+      .select('weekStart name timeBudgetMinutes entries.date entries.slot')
+      .sort({ weekStart: -1 });
+
+    res.json({
+      status: 'success',
+      data: { plans }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a meal plan for a week, optionally auto-generated
+// @route   POST /api/meal-plans
+// @access  Private
+router.post('/', [
+  body('weekStart').isISO8601().withMessage('Week start must be a valid date'),
+  body('name').optional().isString().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('timeBudgetMinutes').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Time budget must be a positive number of minutes'),
+  body('generate').optional().isBoolean().withMessage('Generate must be true or false'),
+  ...generateValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const weekStart = MealPlan.startOfWeek(new Date(req.body.weekStart));
+
+    if (await MealPlan.exists({ user: req.user._id, weekStart })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You already have a plan for this week'
+      });
+    }
+
+    const plan = new MealPlan({
+      user: req.user._id,
+      weekStart,
+      name: req.body.name,
+      timeBudgetMinutes: req.body.timeBudgetMinutes
+    });
+
+    const unfilled = req.body.generate ? await autoFill(req, plan) : [];
+    await plan.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: { ...await planResponse(plan), unfilled }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a meal plan
+// @route   GET /api/meal-plans/:id
+// @access  Private
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid meal plan ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const plan = await findOwnPlan(req);
+    if (!plan) return notFound(res);
+
+    res.json({
+      status: 'success',
+      data: await planResponse(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a meal plan's name or time budget
+// @route   PUT /api/meal-plans/:id
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid meal plan ID'),
+  body('name').optional().isString().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('timeBudgetMinutes').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Time budget must be a positive number of minutes')
+], validateRequest, async (req, res, next) => {
+  try {
+    const plan = await findOwnPlan(req);
+    if (!plan) return notFound(res);
+
+    if (req.body.name !== undefined) plan.name = req.body.name;
+    if (req.body.timeBudgetMinutes !== undefined) plan.timeBudgetMinutes = req.body.timeBudgetMinutes;
+    await plan.save();
+
+    res.json({
+      status: 'success',
+      data: await planResponse(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a meal plan
+// @route   DELETE /api/meal-plans/:id
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid meal plan ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const plan = await MealPlan.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!plan) return notFound(res);
+
+    res.json({
+      status: 'success',
+      message: 'Meal plan deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Auto-fill the empty slots of a meal plan
+// @route   POST /api/meal-plans/:id/generate
+// @access  Private
+router.post('/:id/generate', [
+  param('id').isMongoId().withMessage('Invalid meal plan ID'),
+  body('replace').optional().isBoolean().withMessage('Replace must be true or false'),
+  ...generateValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const plan = await findOwnPlan(req);
+    if (!plan) return notFound(res);
+
+    // Start over on previously generated meals, keeping the ones chosen by hand
+    if (req.body.replace) {
+      plan.entries = plan.entries.filter(entry => !entry.generated);
+    }
+
+    const unfilled = await autoFill(req, plan);
+    await plan.save();
+
+    res.json({
+      status: 'success',
+      data: { ...await planResponse(plan), unfilled }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a meal to a plan
+// @route   POST /api/meal-plans/:id/entries
+// @access  Private
+router.post('/:id/entries', [
+  param('id').isMongoId().withMessage('Invalid meal plan ID'),
+  body('date').isISO8601().withMessage('Date must be a valid date'),
+  body('slot').isIn(MealPlan.mealSlots).withMessage(`Slot must be ${MealPlan.mealSlots.join(', ')}`),
+  body('food').isMongoId().withMessage('Invalid food ID'),
+  body('servings').optional().isInt({ min: 1, max: 50 }).withMessage('Servings must be between 1 and 50'),
+  body('notes').optional().isString().trim().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const plan = await findOwnPlan(req);
+    if (!plan) return notFound(res);
+
+    const date = new Date(req.body.date);
+
+    if (!plan.coversDate(date)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Date is outside this plan\'s week'
+      });
+    }
+
+    if (plan.findEntry(date, req.body.slot)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `There is already a ${req.body.slot} planned for that day`
+      });
+    }
+
+    const food = await Food.findById(req.body.food);
+
+    if (!food || !food.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    plan.entries.push({
+      date,
+      slot: req.body.slot,
+      food: food._id,
+      servings: req.body.servings || food.servings,
+      notes: req.body.notes
+    });
+    await plan.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: await planResponse(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change a planned meal
+// @route   PUT /api/meal-plans/:id/entries/:entryId
+// @access  Private
+router.put('/:id/entries/:entryId', [
+  param('id').isMongoId().withMessage('Invalid meal plan ID'),
+  param('entryId').isMongoId().withMessage('Invalid entry ID'),
+  body('food').optional().isMongoId().withMessage('Invalid food ID'),
+  body('servings').optional().isInt({ min: 1, max: 50 }).withMessage('Servings must be between 1 and 50'),
+  body('notes').optional().isString().trim().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const plan = await findOwnPlan(req);
+    const entry = plan && plan.entries.id(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Planned meal not found'
+      });
+    }
+
+    if (req.body.food) {
+      const food = await Food.findById(req.body.food);
+
+      if (!food || !food.isVisibleTo(req.user)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Food not found'
+        });
+      }
+
+      entry.food = food._id;
+      entry.generated = false;
+    }
+    if (req.body.servings !== undefined) entry.servings = req.body.servings;
+    if (req.body.notes !== undefined) entry.notes = req.body.notes;
+    await plan.save();
+
+    res.json({
+      status: 'success',
+      data: await planResponse(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove a meal from a plan
+// @route   DELETE /api/meal-plans/:id/entries/:entryId
+// @access  Private
+router.delete('/:id/entries/:entryId', [
+  param('id').isMongoId().withMessage('Invalid meal plan ID'),
+  param('entryId').isMongoId().withMessage('Invalid entry ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const plan = await findOwnPlan(req);
+    const entry = plan && plan.entries.id(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Planned meal not found'
+      });
+    }
+
+    entry.deleteOne();
+    await plan.save();
+
+    res.json({
+      status: 'success',
+      data: await planResponse(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const { protect, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { targetTypes, applyModerationAction } = require('../utils/moderation');
+
+const router = express.Router();
+
+// Moderation is for staff only
+router.use(protect, authorize('admin', 'chef'));
+
+// Fields shown to moderators for each kind of target
+const targetSummaryFields = {
+  food: 'name description createdBy moderation',
+  review: 'food user rating text photoUrl moderation',
+  user: 'name email role profile.bio profile.avatar isActive moderation'
+};
+
+const loadTargets = async (targetType, ids) => {
+  const { model } = targetTypes[targetType];
+  const targets = await model.find({ _id: { $in: ids } }).select(targetSummaryFields[targetType]);
+  return new Map(targets.map(target => [target._id.toString(), target]));
+};
+
+const targetValidators = [
+  param('targetType').isIn(Object.keys(targetTypes)).withMessage('Invalid target type'),
+  param('targetId').isMongoId().withMessage('Invalid target ID')
+];
+
+// @desc    Get moderation queue (reported items, most reported first)
+// @route   GET /api/moderation/queue
+// @access  Private (Admin/Chef)
+router.get('/queue', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('targetType').optional().isIn(Object.keys(targetTypes))
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const match = { status: 'open' };
+    if (req.query.targetType) match.targetType = req.query.targetType;
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { targetType: '$targetType', target: '$target' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    // Attach a summary of each reported item
+    const items = result.items;
+    const summaries = {};
+    for (const targetType of Object.keys(targetTypes)) {
+      const ids = items.filter(item => item._id.targetType === targetType).map(item => item._id.target);
+      if (ids.length) summaries[targetType] = await loadTargets(targetType, ids);
+    }
+
+    const queue = items.map(item => ({
+      targetType: item._id.targetType,
+      targetId: item._id.target,
+      target: summaries[item._id.targetType] && summaries[item._id.targetType].get(item._id.target.toString()) || null,
+      reportCount: item.reportCount,
+      reasons: item.reasons,
+      firstReportedAt: item.firstReportedAt,
+      lastReportedAt: item.lastReportedAt
+    }));
+
+    const total = result.total.length ? result.total[0].count : 0;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        queue,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get moderation audit log
+// @route   GET /api/moderation/audit
+// @access  Private (Admin/Chef)
+router.get('/audit', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('targetType').optional().isIn(Object.keys(targetTypes)),
+  query('action').optional().isIn(['approve', 'hide', 'ban', 'auto-hide']),
+  query('moderator').optional().isMongoId()
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.moderator) filter.moderator = req.query.moderator;
+
+    const actions = await ModerationAction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('moderator', 'name role');
+
+    const total = await ModerationAction.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        actions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a reported item with its reports and moderation history
+// @route   GET /api/moderation/:targetType/:targetId
+// @access  Private (Admin/Chef)
+router.get('/:targetType/:targetId', targetValidators, validateRequest, async (req, res, next) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const targets = await loadTargets(targetType, [targetId]);
+    const target = targets.get(targetId);
+
+    if (!target) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reported item not found'
+      });
+    }
+
+    const reports = await Report.find({ targetType, target: targetId })
+      .sort({ createdAt: -1 })
+      .populate('reporter', 'name');
+    const history = await ModerationAction.find({ targetType, target: targetId })
+      .sort({ createdAt: -1 })
+      .populate('moderator', 'name role');
+
+    res.json({
+      status: 'success',
+      data: { target, reports, history }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Take a moderation action (approve, hide or ban)
+// @route   POST /api/moderation/:targetType/:targetId/actions
+// @access  Private (Admin/Chef - ban is Admin only)
+router.post('/:targetType/:targetId/actions', [
+  ...targetValidators,
+  body('action').isIn(['approve', 'hide', 'ban']).withMessage('Action must be approve, hide or ban'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action, reason } = req.body;
+    const { model, authorOf } = targetTypes[targetType];
+
+    const target = await model.findById(targetId);
+
+    if (!target) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reported item not found'
+      });
+    }
+
+    if (action === 'ban') {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Only admins can ban users'
+        });
+      }
+
+      const author = authorOf(target) && await User.findById(authorOf(target));
+
+      if (!author) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'This item has no author to ban'
+        });
+      }
+
+      if (['admin', 'chef'].includes(author.role)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Staff accounts cannot be banned'
+        });
+      }
+    }
+
+    const moderationAction = await applyModerationAction({
+      targetType,
+      target,
+      action,
+      moderator: req.user,
+      reason
+    });
+
+    res.json({
+      status: 'success',
+      message: `Moderation action "${action}" applied`,
+      data: { action: moderationAction }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
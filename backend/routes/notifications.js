@@ -0,0 +1,104 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+router.use(protect);
+
+// @desc    Get the user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', [
+  query('unread').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], validateRequest, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', async (req, res, next) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      status: 'success',
+      message: `${modifiedCount} notifications marked as read`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { notification }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, param } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const OAuthState = require('../models/OAuthState');
+const { validateRequest } = require('../middleware/validateRequest');
+const { getProviders, getProvider } = require('../config/oidc');
+const { createAuthorizationRequest, exchangeCode } = require('../utils/oidc');
+const { completeLogin } = require('../utils/login');
+
+const router = express.Router();
+
+// How long a user has to complete the provider's sign-in page
+const STATE_EXPIRE_MS = 10 * 60 * 1000;
+
+// Look up the provider from the route and 404 if it is not configured
+const loadProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Login provider ${req.params.provider} is not configured`
+    });
+  }
+
+  req.oidcProvider = provider;
+  next();
+};
+
+// @desc    List configured social login providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  const providers = Object.values(getProviders()).map(({ id, name }) => ({ id, name }));
+
+  res.json({
+    status: 'success',
+    data: { providers }
+  });
+});
+
+// @desc    Start social login (authorization code + PKCE)
+// @route   GET /api/auth/oauth/:provider/authorize
+// @access  Public
+router.get('/:provider/authorize', [
+  param('provider').isSlug().withMessage('Invalid provider')
+], validateRequest, loadProvider, async (req, res, next) => {
+  try {
+    const provider = req.oidcProvider;
+    const { authorizationUrl, state, nonce, codeVerifier } = await createAuthorizationRequest(provider);
+    // The client keeps this until the callback - a state from a login someone
+    // else started can't be completed without it
+    const binding = crypto.randomBytes(32).toString('hex');
+
+    await OAuthState.create({
+      state,
+      provider: provider.id,
+      codeVerifier,
+      nonce,
+      redirectUri: provider.redirectUri,
+      bindingHash: OAuthState.hashBinding(binding),
+      expiresAt: new Date(Date.now() + STATE_EXPIRE_MS)
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        authorizationUrl,
+        state,
+        binding
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Complete social login with the code returned by the provider
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public
+router.post('/:provider/callback', [
+  param('provider').isSlug().withMessage('Invalid provider'),
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required'),
+  body('binding').isString().notEmpty().withMessage('Binding is required'),
+  body('deviceName').optional().isString().trim().isLength({ max: 100 }).withMessage('Device name cannot exceed 100 characters')
+], validateRequest, loadProvider, async (req, res, next) => {
+  try {
+    const provider = req.oidcProvider;
+    const pending = await OAuthState.consume(req.body.state, provider.id, req.body.binding);
+
+    if (!pending) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Login request is invalid or has expired, please try again'
+      });
+    }
+
+    const claims = await exchangeCode(provider, {
+      code: req.body.code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce,
+      redirectUri: pending.redirectUri
+    });
+
+    const email = claims.email ? claims.email.toLowerCase() : undefined;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    let user = await User.findByOAuthAccount(provider.id, claims.sub);
+
+    // Link to an existing account with the same email, but only if the provider vouches for it
+    if (!user && email) {
+      const existingUser = await User.findOne({ email }).select('+password');
+
+      if (existingUser) {
+        if (!emailVerified) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'An account with this email already exists. Please log in with your password.'
+          });
+        }
+
+        existingUser.linkOAuthAccount(provider.id, claims.sub, email);
+
+        // The provider proved ownership of an email we never verified, so the
+        // password set on the unverified account can't be trusted - drop it
+        const dropPassword = !existingUser.isEmailVerified;
+        if (dropPassword) {
+          existingUser.password = undefined;
+          existingUser.isEmailVerified = true;
+          existingUser.emailVerificationToken = undefined;
+          existingUser.emailVerificationExpires = undefined;
+        }
+
+        await existingUser.save({ validateBeforeSave: false });
+
+        if (dropPassword) {
+          await Session.revokeAllForUser(existingUser._id, 'password-changed');
+        }
+
+        user = existingUser;
+      }
+    }
+
+    // Otherwise create a new passwordless account
+    if (!user) {
+      if (!email) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Login provider did not share an email address'
+        });
+      }
+
+      user = await User.create({
+        name: (claims.name || email.split('@')[0]).slice(0, 50),
+        email,
+        isEmailVerified: emailVerified,
+        oauthAccounts: [{ provider: provider.id, subject: claims.sub, email }],
+        'profile.avatar': claims.picture || ''
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Issue tokens, or a two-factor challenge if 2FA is enabled
+    await completeLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
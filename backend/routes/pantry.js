@@ -0,0 +1,178 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const PantryItem = require('../models/PantryItem');
+const { expiringSoonDays } = require('../config/pantry');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+// Every pantry route belongs to the signed-in user
+router.use(protect);
+
+const MAX_PANTRY_ITEMS = 300;
+
+const itemValidators = [
+  body('quantity').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+  body('unit').optional().isString().trim().isLength({ max: 20 }).withMessage('Unit cannot exceed 20 characters'),
+  body('purchasedAt').optional({ nullable: true }).isISO8601().withMessage('Purchase date must be a valid date'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a valid date'),
+  body('notes').optional().isString().trim().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters')
+];
+
+const editableFields = ['name', 'quantity', 'unit', 'purchasedAt', 'expiresAt', 'notes'];
+
+// @desc    Get the user's pantry
+// @route   GET /api/pantry
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const items = await PantryItem.find({ user: req.user._id })
+      .sort({ name: 1 })
+      .populate('ingredient', 'name category');
+
+    res.json({
+      status: 'success',
+      data: { items }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get pantry items expiring soon (and any already expired)
+// @route   GET /api/pantry/expiring?days=3
+// @access  Private
+router.get('/expiring', [
+  query('days').optional().isInt({ min: 1, max: 30 }).withMessage('Days must be between 1 and 30')
+], validateRequest, async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || expiringSoonDays;
+
+    const [expiring, expired] = await Promise.all([
+      PantryItem.getExpiring(req.user._id, days),
+      PantryItem.find({ user: req.user._id, expiresAt: { $lte: new Date() } }).sort({ expiresAt: -1 })
+    ]);
+
+    res.json({
+      status: 'success',
+      data: { days, expiring, expired }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add an item to the pantry
+// @route   POST /api/pantry
+// @access  Private
+router.post('/', [
+  body('name').isString().trim().notEmpty().withMessage('Item name is required'),
+  ...itemValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const name = req.body.name.toLowerCase();
+
+    if (await PantryItem.exists({ user: req.user._id, name })) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${req.body.name} is already in your pantry - update it instead`
+      });
+    }
+
+    if (await PantryItem.countDocuments({ user: req.user._id }) >= MAX_PANTRY_ITEMS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Your pantry can hold at most ${MAX_PANTRY_ITEMS} items`
+      });
+    }
+
+    const item = new PantryItem({ user: req.user._id });
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    });
+    await item.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: { item }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a pantry item
+// @route   PUT /api/pantry/:id
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid pantry item ID'),
+  body('name').optional().isString().trim().notEmpty().withMessage('Item name cannot be empty'),
+  ...itemValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const item = await PantryItem.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pantry item not found'
+      });
+    }
+
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    });
+    await item.save();
+
+    res.json({
+      status: 'success',
+      data: { item }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove a pantry item
+// @route   DELETE /api/pantry/:id
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid pantry item ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const item = await PantryItem.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pantry item not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Pantry item removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Empty the pantry
+// @route   DELETE /api/pantry
+// @access  Private
+router.delete('/', async (req, res, next) => {
+  try {
+    const { deletedCount } = await PantryItem.deleteMany({ user: req.user._id });
+
+    res.json({
+      status: 'success',
+      message: `${deletedCount} pantry items removed`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,59 +2,54 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const Food = require('../models/Food');
 const User = require('../models/User');
-const { protect, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, apiKeyScope } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validateRequest');
+const { buildIngredientMatchers, matchersFilter, ingredientMatches } = require('../utils/ingredientMatching');
+const { buildPantryMatchers, pantryCoverage, buildExpiringMatchers, useItUpScore } = require('../utils/pantry');
+const { recommendationFilter } = require('../utils/recommendations');
+const { recordCook } = require('../utils/cooking');
+const { userAllergies, dietaryFilter } = require('../utils/dietary');
 
 const router = express.Router();
 
 // @desc    Get personalized recipe recommendations
-// @route   GET /api/recipes/recommendations
+// @route   GET /api/recipes/recommendations?mode=default|use-it-up
 // @access  Private
-router.get('/recommendations', protect, [
-  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+router.get('/recommendations', apiKeyScope('recipes:read'), protect, [
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  query('mode').optional().isIn(['default', 'use-it-up']).withMessage('Mode must be default or use-it-up')
 ], validateRequest, async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const user = req.user;
 
     // Build recommendation filter based on user preferences
-    const filter = {};
-    
-    // Filter by dietary preferences
-    if (user.profile.dietaryPreferences && user.profile.dietaryPreferences.length > 0) {
-      if (user.profile.dietaryPreferences.includes('vegetarian')) {
-        filter.isVegetarian = true;
-      }
-      if (user.profile.dietaryPreferences.includes('vegan')) {
-        filter.isVegan = true;
+    const filter = recommendationFilter(user);
+
+    // "Use it up" - favour recipes that use pantry items about to expire
+    if (req.query.mode === 'use-it-up') {
+      const expiringMatchers = await buildExpiringMatchers(user._id);
+
+      if (expiringMatchers.length) {
+        const candidates = await Food.find({ $and: [filter, matchersFilter(expiringMatchers)] })
+          .sort({ popularity: -1, 'rating.average': -1 })
+          .limit(100)
+          .populate('createdBy', 'name profile.avatar');
+
+        const recommendations = candidates
+          .map(recipe => ({ ...recipe.toObject(), ...useItUpScore(recipe, expiringMatchers) }))
+          .sort((a, b) => b.useItUpScore - a.useItUpScore || b.popularity - a.popularity)
+          .slice(0, limit);
+
+        return res.json({
+          status: 'success',
+          data: {
+            mode: 'use-it-up',
+            recommendations,
+            expiringItems: expiringMatchers.map(matcher => matcher.item)
+          }
+        });
       }
-      if (user.profile.dietaryPreferences.includes('gluten-free')) {
-        filter.isGlutenFree = true;
-      }
-    }
-
-    // Filter by spice level
-    if (user.preferences.spiceLevel) {
-      const spiceLevels = ['mild', 'medium', 'hot', 'extra-hot'];
-      const userSpiceIndex = spiceLevels.indexOf(user.preferences.spiceLevel);
-      const allowedSpiceLevels = spiceLevels.slice(0, userSpiceIndex + 1);
-      filter.spiceLevel = { $in: allowedSpiceLevels };
-    }
-
-    // Filter by favorite cuisines
-    if (user.profile.favoriteCuisines && user.profile.favoriteCuisines.length > 0) {
-      filter.cuisine = { $in: user.profile.favoriteCuisines };
-    }
-
-    // Filter by cooking experience
-    if (user.profile.cookingExperience) {
-      const experienceMap = {
-        'beginner': ['easy'],
-        'intermediate': ['easy', 'medium'],
-        'advanced': ['easy', 'medium', 'hard'],
-        'professional': ['easy', 'medium', 'hard']
-      };
-      filter.difficulty = { $in: experienceMap[user.profile.cookingExperience] || ['easy'] };
     }
 
     // Get recommendations
@@ -65,7 +60,7 @@ router.get('/recommendations', protect, [
 
     res.json({
       status: 'success',
-      data: { recommendations }
+      data: { mode: 'default', recommendations }
     });
   } catch (error) {
     next(error);
@@ -75,7 +70,7 @@ router.get('/recommendations', protect, [
 // @desc    Get recipes based on available ingredients
 // @route   POST /api/recipes/by-ingredients
 // @access  Public
-router.post('/by-ingredients', [
+router.post('/by-ingredients', apiKeyScope('foods:read'), optionalAuth, [
   body('ingredients').isArray({ min: 1 }).withMessage('At least one ingredient is required'),
   body('ingredients.*').isString().trim().notEmpty().withMessage('Each ingredient must be a non-empty string'),
   body('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
@@ -83,15 +78,15 @@ router.post('/by-ingredients', [
   try {
     const { ingredients, limit = 10 } = req.body;
     
-    // Convert ingredients to lowercase for case-insensitive search
+    // Resolve each term through the ingredient catalog (synonyms, spellings)
     const searchIngredients = ingredients.map(ingredient => ingredient.toLowerCase());
+    const matchers = await buildIngredientMatchers(searchIngredients);
 
-    // Find recipes that contain any of the provided ingredients
-    const recipes = await Food.find({
-      'ingredients.name': { 
-        $in: searchIngredients.map(ingredient => new RegExp(ingredient, 'i'))
-      }
-    })
+    // Find recipes that contain any of the provided ingredients (and nothing the user is allergic to)
+    const recipes = await Food.find(Food.publicFilter({
+      ...matchersFilter(matchers),
+      ...dietaryFilter({ allergies: userAllergies(req.user) })
+    }))
     .sort({ popularity: -1 })
     .limit(limit)
     .populate('createdBy', 'name profile.avatar');
@@ -99,9 +94,7 @@ router.post('/by-ingredients', [
     // Score recipes based on ingredient matches
     const scoredRecipes = recipes.map(recipe => {
       const matchedIngredients = recipe.ingredients.filter(ingredient => 
-        searchIngredients.some(searchIngredient => 
-          ingredient.name.toLowerCase().includes(searchIngredient)
-        )
+        matchers.some(matcher => ingredientMatches(ingredient, matcher))
       );
       
       const matchScore = matchedIngredients.length / recipe.ingredients.length;
@@ -120,7 +113,65 @@ router.post('/by-ingredients', [
       status: 'success',
       data: { 
         recipes: scoredRecipes,
-        searchIngredients
+        searchIngredients,
+        resolvedIngredients: matchers.map(matcher => ({
+          term: matcher.term,
+          ingredient: matcher.ingredient
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get recipes the user can cook right now from their pantry
+// @route   GET /api/recipes/from-pantry
+// @access  Private
+router.get('/from-pantry', apiKeyScope('recipes:read'), protect, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('maxMissing').optional().isInt({ min: 0, max: 20 }).withMessage('Max missing must be between 0 and 20'),
+  query('minCoverage').optional().isFloat({ min: 0, max: 1 }).withMessage('Min coverage must be between 0 and 1')
+], validateRequest, async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 12;
+    const minCoverage = parseFloat(req.query.minCoverage) || 0;
+    const maxMissing = req.query.maxMissing !== undefined ? parseInt(req.query.maxMissing) : Infinity;
+
+    const pantry = await buildPantryMatchers(req.user._id);
+
+    if (!pantry.items.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Your pantry is empty - add some items first'
+      });
+    }
+
+    // Any recipe that uses at least one thing from the pantry is a candidate
+    const candidates = await Food.find(Food.publicFilter({
+      ...matchersFilter(pantry.itemMatchers),
+      ...dietaryFilter({ allergies: userAllergies(req.user) })
+    }))
+      .sort({ popularity: -1 })
+      .limit(200)
+      .populate('createdBy', 'name profile.avatar');
+
+    const recipes = candidates
+      .map(recipe => ({
+        ...recipe.toObject(),
+        ...pantryCoverage(recipe, pantry)
+      }))
+      .filter(recipe => recipe.coverage >= minCoverage && recipe.missingIngredients.length <= maxMissing)
+      .sort((a, b) => b.coverage - a.coverage ||
+        a.missingIngredients.length - b.missingIngredients.length ||
+        b.popularity - a.popularity)
+      .slice(0, limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        recipes,
+        pantryItems: pantry.items.length
       }
     });
   } catch (error) {
@@ -131,7 +182,7 @@ router.post('/by-ingredients', [
 // @desc    Get quick recipes (under 30 minutes)
 // @route   GET /api/recipes/quick
 // @access  Public
-router.get('/quick', [
+router.get('/quick', apiKeyScope('foods:read'), optionalAuth, [
   query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
   query('maxTime').optional().isInt({ min: 5, max: 60 }).withMessage('Max time must be between 5 and 60 minutes')
 ], validateRequest, async (req, res, next) => {
@@ -139,14 +190,15 @@ router.get('/quick', [
     const limit = parseInt(req.query.limit) || 10;
     const maxTime = parseInt(req.query.maxTime) || 30;
 
-    const quickRecipes = await Food.find({
+    const quickRecipes = await Food.find(Food.publicFilter({
+      ...dietaryFilter({ allergies: userAllergies(req.user) }),
       $expr: {
         $lte: [
           { $add: ['$prepTime', '$cookTime'] },
           maxTime
         ]
       }
-    })
+    }))
     .sort({ popularity: -1 })
     .limit(limit)
     .populate('createdBy', 'name profile.avatar');
@@ -163,7 +215,7 @@ router.get('/quick', [
 // @desc    Get trending recipes
 // @route   GET /api/recipes/trending
 // @access  Public
-router.get('/trending', [
+router.get('/trending', apiKeyScope('foods:read'), optionalAuth, [
   query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
   query('timeframe').optional().isIn(['day', 'week', 'month']).withMessage('Timeframe must be day, week, or month')
 ], validateRequest, async (req, res, next) => {
@@ -187,9 +239,10 @@ router.get('/trending', [
         break;
     }
 
-    const trendingRecipes = await Food.find({
+    const trendingRecipes = await Food.find(Food.publicFilter({
+      ...dietaryFilter({ allergies: userAllergies(req.user) }),
       createdAt: { $gte: startDate }
-    })
+    }))
     .sort({ popularity: -1, 'rating.average': -1 })
     .limit(limit)
     .populate('createdBy', 'name profile.avatar');
@@ -210,13 +263,13 @@ router.get('/trending', [
 // @desc    Mark recipe as cooked
 // @route   POST /api/recipes/:id/cook
 // @access  Private
-router.post('/:id/cook', protect, [
+router.post('/:id/cook', apiKeyScope('recipes:cook'), protect, [
   param('id').isMongoId().withMessage('Invalid recipe ID')
 ], validateRequest, async (req, res, next) => {
   try {
     const recipe = await Food.findById(req.params.id);
 
-    if (!recipe) {
+    if (!recipe || !recipe.isVisibleTo(req.user)) {
       return res.status(404).json({
         status: 'error',
         message: 'Recipe not found'
@@ -224,21 +277,12 @@ router.post('/:id/cook', protect, [
     }
 
     // Update user's cooking stats
-    await req.user.incrementCookingStreak();
+    const data = await recordCook(req.user, recipe);
 
     res.json({
       status: 'success',
       message: 'Recipe marked as cooked! Great job! 🎉',
-      data: {
-        recipe: {
-          _id: recipe._id,
-          name: recipe.name
-        },
-        userStats: {
-          recipesCooked: req.user.stats.recipesCooked + 1,
-          cookingStreak: req.user.stats.cookingStreak + 1
-        }
-      }
+      data
     });
   } catch (error) {
     next(error);
@@ -248,13 +292,13 @@ router.post('/:id/cook', protect, [
 // @desc    Add recipe to favorites
 // @route   POST /api/recipes/:id/favorite
 // @access  Private
-router.post('/:id/favorite', protect, [
+router.post('/:id/favorite', apiKeyScope('favorites:write'), protect, [
   param('id').isMongoId().withMessage('Invalid recipe ID')
 ], validateRequest, async (req, res, next) => {
   try {
     const recipe = await Food.findById(req.params.id);
 
-    if (!recipe) {
+    if (!recipe || !recipe.isVisibleTo(req.user)) {
       return res.status(404).json({
         status: 'error',
         message: 'Recipe not found'
@@ -281,7 +325,7 @@ router.post('/:id/favorite', protect, [
 // @desc    Remove recipe from favorites
 // @route   DELETE /api/recipes/:id/favorite
 // @access  Private
-router.delete('/:id/favorite', protect, [
+router.delete('/:id/favorite', apiKeyScope('favorites:write'), protect, [
   param('id').isMongoId().withMessage('Invalid recipe ID')
 ], validateRequest, async (req, res, next) => {
   try {
@@ -314,7 +358,7 @@ router.delete('/:id/favorite', protect, [
 // @desc    Get user's favorite recipes
 // @route   GET /api/recipes/favorites
 // @access  Private
-router.get('/favorites', protect, [
+router.get('/favorites', apiKeyScope('recipes:read'), protect, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
 ], validateRequest, async (req, res, next) => {
@@ -325,6 +369,7 @@ router.get('/favorites', protect, [
 
     const user = await User.findById(req.user._id).populate({
       path: 'stats.favoriteRecipes',
+      match: Food.publicFilter(),
       options: {
         skip,
         limit,
@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Food = require('../models/Food');
+const Review = require('../models/Review');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { reportValidators, handleReport } = require('../utils/moderation');
+
+// Mounted at /api/foods/:foodId/reviews
+const router = express.Router({ mergeParams: true });
+
+// Load the food from the parent route and 404 if it doesn't exist
+const loadFood = async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.params.foodId).select('name rating createdBy status moderation');
+
+    if (!food || !food.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    req.food = food;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get reviews for a food
+// @route   GET /api/foods/:foodId/reviews
+// @access  Public
+router.get('/', [
+  param('foodId').isMongoId().withMessage('Invalid food ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sort').optional().isIn(['newest', 'highest', 'lowest']),
+  query('cookedIt').optional().isBoolean()
+], validateRequest, loadFood, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { food: req.food._id, 'moderation.hidden': { $ne: true } };
+    if (req.query.cookedIt !== undefined) filter.cookedIt = req.query.cookedIt === 'true';
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 }
+    };
+
+    const reviews = await Review.find(filter)
+      .sort(sortOptions[req.query.sort || 'newest'])
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'name profile.avatar');
+
+    const total = await Review.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      status: 'success',
+      data: {
+        reviews,
+        rating: req.food.rating,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get current user's review for a food
+// @route   GET /api/foods/:foodId/reviews/mine
+// @access  Private
+router.get('/mine', protect, [
+  param('foodId').isMongoId().withMessage('Invalid food ID')
+], validateRequest, loadFood, async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ food: req.food._id, user: req.user._id });
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You have not reviewed this food yet'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { review }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Review a food
+// @route   POST /api/foods/:foodId/reviews
+// @access  Private
+router.post('/', protect, [
+  param('foodId').isMongoId().withMessage('Invalid food ID'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('text').optional().isString().trim().isLength({ max: 2000 }).withMessage('Review cannot exceed 2000 characters'),
+  body('photoUrl').optional({ values: 'falsy' }).isURL().withMessage('Photo URL must be a valid URL'),
+  body('cookedIt').optional().isBoolean()
+], validateRequest, loadFood, async (req, res, next) => {
+  try {
+    const existing = await Review.findOne({ food: req.food._id, user: req.user._id });
+
+    if (existing) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You have already reviewed this food - edit your review instead',
+        data: { reviewId: existing._id }
+      });
+    }
+
+    const review = await Review.create({
+      food: req.food._id,
+      user: req.user._id,
+      rating: req.body.rating,
+      text: req.body.text,
+      photoUrl: req.body.photoUrl,
+      cookedIt: req.body.cookedIt
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { review }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Edit own review
+// @route   PUT /api/foods/:foodId/reviews/:reviewId
+// @access  Private
+router.put('/:reviewId', protect, [
+  param('foodId').isMongoId().withMessage('Invalid food ID'),
+  param('reviewId').isMongoId().withMessage('Invalid review ID'),
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('text').optional().isString().trim().isLength({ max: 2000 }).withMessage('Review cannot exceed 2000 characters'),
+  body('photoUrl').optional({ values: 'falsy' }).isURL().withMessage('Photo URL must be a valid URL'),
+  body('cookedIt').optional().isBoolean()
+], validateRequest, async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, food: req.params.foodId });
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to edit this review'
+      });
+    }
+
+    ['rating', 'text', 'photoUrl', 'cookedIt'].forEach(field => {
+      if (req.body[field] !== undefined) review[field] = req.body[field];
+    });
+    await review.save();
+
+    res.json({
+      status: 'success',
+      data: { review }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a review (owner or admin)
+// @route   DELETE /api/foods/:foodId/reviews/:reviewId
+// @access  Private
+router.delete('/:reviewId', protect, [
+  param('foodId').isMongoId().withMessage('Invalid food ID'),
+  param('reviewId').isMongoId().withMessage('Invalid review ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, food: req.params.foodId });
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.json({
+      status: 'success',
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Report a review
+// @route   POST /api/foods/:foodId/reviews/:reviewId/report
+// @access  Private
+router.post('/:reviewId/report', protect, [
+  param('foodId').isMongoId().withMessage('Invalid food ID'),
+  param('reviewId').isMongoId().withMessage('Invalid review ID'),
+  ...reportValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      food: req.params.foodId,
+      'moderation.hidden': { $ne: true }
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    req.reportTarget = review;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, handleReport('review'));
+
+module.exports = router;
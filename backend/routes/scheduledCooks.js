@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const ScheduledCook = require('../models/ScheduledCook');
+const Food = require('../models/Food');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { buildCookTimeline } = require('../utils/cookTimeline');
+const { buildCalendar } = require('../utils/ical');
+const { recordCook } = require('../utils/cooking');
+
+const router = express.Router();
+
+const cookFoodFields = 'name prepTime cookTime servings instructions imageUrl';
+
+const getBaseUrl = (req) => {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+const withTimeline = (cook) => ({
+  ...cook.toObject(),
+  timeline: cook.food ? buildCookTimeline(cook.food, cook.serveAt) : null
+});
+
+// Calendar events for one scheduled cook - the cook itself plus any advance prep
+const cookEvents = (cook, clientUrl) => {
+  const { food } = cook;
+  const timeline = buildCookTimeline(food, cook.serveAt);
+  const link = clientUrl ? `${clientUrl}/recipes/${food._id}` : undefined;
+  const serveTime = cook.serveAt.toISOString().slice(11, 16);
+
+  const events = [{
+    uid: `${cook._id}@khaana.ai`,
+    start: timeline.startAt,
+    end: cook.serveAt,
+    summary: `Cook ${food.name}`,
+    description: [
+      `Serve at ${serveTime} UTC${cook.servings ? ` for ${cook.servings}` : ''}.`,
+      `Prep ${food.prepTime} min, cook ${food.cookTime} min.`,
+      cook.notes
+    ].filter(Boolean).join('\n'),
+    url: link,
+    alarmMinutes: cook.reminderMinutes
+  }];
+
+  timeline.advancePrep.forEach(prep => {
+    events.push({
+      uid: `${cook._id}-prep-${prep.step}@khaana.ai`,
+      start: prep.startAt,
+      end: new Date(prep.startAt.getTime() + 15 * 60 * 1000),
+      summary: `Start to ${prep.action}: ${food.name}`,
+      description: `Step ${prep.step}: ${prep.description}`,
+      url: link,
+      alarmMinutes: 0
+    });
+  });
+
+  return events;
+};
+
+// @desc    Calendar feed of scheduled cooks (subscribe from a phone calendar)
+// @route   GET /api/scheduled-cooks/feed/:token.ics
+// @access  Public (secret token)
+router.get('/feed/:token.ics', [
+  param('token').isHexadecimal().isLength({ min: 48, max: 48 }).withMessage('Invalid calendar feed link')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findByCalendarFeedToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar feed not found'
+      });
+    }
+
+    // Recent history plus everything coming up
+    const cooks = await ScheduledCook.find({
+      user: user._id,
+      serveAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+    })
+      .sort({ serveAt: 1 })
+      .populate('food', cookFoodFields);
+
+    const clientUrl = process.env.CLIENT_URL;
+    const events = cooks.filter(cook => cook.food).flatMap(cook => cookEvents(cook, clientUrl));
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(buildCalendar({ name: 'Khaana AI cooks', events }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Everything else belongs to the signed-in user
+router.use(protect);
+
+// @desc    Create (or replace) the secret calendar feed link
+// @route   POST /api/scheduled-cooks/feed-token
+// @access  Private
+router.post('/feed-token', async (req, res, next) => {
+  try {
+    const token = req.user.createCalendarFeedToken();
+    await req.user.save({ validateBeforeSave: false });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar feed link created - any previous link no longer works',
+      data: {
+        feedUrl: `${getBaseUrl(req)}/api/scheduled-cooks/feed/${token}.ics`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Turn off the calendar feed link
+// @route   DELETE /api/scheduled-cooks/feed-token
+// @access  Private
+router.delete('/feed-token', async (req, res, next) => {
+  try {
+    req.user.calendarFeed = undefined;
+    await req.user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      message: 'Calendar feed link turned off'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the user's scheduled cooks
+// @route   GET /api/scheduled-cooks
+// @access  Private
+router.get('/', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('status').optional().isIn(['scheduled', 'completed'])
+], validateRequest, async (req, res, next) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      filter.serveAt = {};
+      if (req.query.from) filter.serveAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.serveAt.$lte = new Date(req.query.to);
+    }
+
+    const cooks = await ScheduledCook.find(filter)
+      .sort({ serveAt: 1 })
+      .limit(200)
+      .populate('food', cookFoodFields);
+
+    res.json({
+      status: 'success',
+      data: { cooks: cooks.map(withTimeline) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Schedule a cook
+// @route   POST /api/scheduled-cooks
+// @access  Private
+router.post('/', [
+  body('food').isMongoId().withMessage('Invalid food ID'),
+  body('serveAt').isISO8601().withMessage('Serve time must be a valid date'),
+  body('servings').optional().isInt({ min: 1, max: 100 }).withMessage('Servings must be between 1 and 100'),
+  body('notes').optional().isString().trim().isLength({ max: 300 }).withMessage('Notes cannot exceed 300 characters'),
+  body('reminderMinutes').optional().isInt({ min: 0, max: 1440 }).withMessage('Reminder must be between 0 and 1440 minutes')
+], validateRequest, async (req, res, next) => {
+  try {
+    const food = await Food.findById(req.body.food);
+
+    if (!food || !food.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const cook = await ScheduledCook.create({
+      user: req.user._id,
+      food: food._id,
+      serveAt: new Date(req.body.serveAt),
+      servings: req.body.servings || food.servings,
+      notes: req.body.notes,
+      reminderMinutes: req.body.reminderMinutes
+    });
+    await cook.populate('food', cookFoodFields);
+
+    res.status(201).json({
+      status: 'success',
+      data: { cook: withTimeline(cook) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a scheduled cook with its timeline
+// @route   GET /api/scheduled-cooks/:id
+// @access  Private
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid scheduled cook ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const cook = await ScheduledCook.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('food', cookFoodFields);
+
+    if (!cook) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Scheduled cook not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { cook: withTimeline(cook) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reschedule or edit a scheduled cook
+// @route   PUT /api/scheduled-cooks/:id
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid scheduled cook ID'),
+  body('serveAt').optional().isISO8601().withMessage('Serve time must be a valid date'),
+  body('servings').optional().isInt({ min: 1, max: 100 }).withMessage('Servings must be between 1 and 100'),
+  body('notes').optional().isString().trim().isLength({ max: 300 }).withMessage('Notes cannot exceed 300 characters'),
+  body('reminderMinutes').optional().isInt({ min: 0, max: 1440 }).withMessage('Reminder must be between 0 and 1440 minutes')
+], validateRequest, async (req, res, next) => {
+  try {
+    const cook = await ScheduledCook.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!cook) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Scheduled cook not found'
+      });
+    }
+
+    if (cook.status === 'completed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This cook has already been completed'
+      });
+    }
+
+    if (req.body.serveAt !== undefined) cook.serveAt = new Date(req.body.serveAt);
+    ['servings', 'notes', 'reminderMinutes'].forEach(field => {
+      if (req.body[field] !== undefined) cook[field] = req.body[field];
+    });
+    await cook.save();
+    await cook.populate('food', cookFoodFields);
+
+    res.json({
+      status: 'success',
+      data: { cook: withTimeline(cook) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Mark a scheduled cook as done - counts towards the cooking streak
+// @route   POST /api/scheduled-cooks/:id/complete
+// @access  Private
+router.post('/:id/complete', [
+  param('id').isMongoId().withMessage('Invalid scheduled cook ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    // Flip the status atomically so a double tap can't count twice
+    const cook = await ScheduledCook.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: 'scheduled' },
+      { status: 'completed', completedAt: new Date() },
+      { new: true }
+    ).populate('food', 'name');
+
+    if (!cook) {
+      const exists = await ScheduledCook.exists({ _id: req.params.id, user: req.user._id });
+      return res.status(exists ? 409 : 404).json({
+        status: 'error',
+        message: exists ? 'This cook has already been completed' : 'Scheduled cook not found'
+      });
+    }
+
+    const data = cook.food ? await recordCook(req.user, cook.food) : {};
+
+    res.json({
+      status: 'success',
+      message: 'Recipe marked as cooked! Great job! 🎉',
+      data: { ...data, cook }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove a scheduled cook
+// @route   DELETE /api/scheduled-cooks/:id
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid scheduled cook ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const cook = await ScheduledCook.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!cook) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Scheduled cook not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Scheduled cook removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
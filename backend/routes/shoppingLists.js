@@ -0,0 +1,241 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const ShoppingList = require('../models/ShoppingList');
+const Food = require('../models/Food');
+const { protect } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { aisles, buildShoppingItems, markPantryItems, toText, toCsv } = require('../utils/shoppingList');
+const { buildPantryMatchers } = require('../utils/pantry');
+
+const router = express.Router();
+
+router.use(protect);
+
+const MAX_RECIPES_PER_LIST = 20;
+
+const findOwnList = (req) => ShoppingList.findOne({ _id: req.params.id, user: req.user._id });
+
+const listResponse = (list) => ({
+  list,
+  aisles: list.groupByAisle(aisles)
+});
+
+// @desc    Get the user's shopping lists
+// @route   GET /api/shopping-lists
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const lists = await ShoppingList.find({ user: req.user._id })
+      .select('name recipes items.checked items.alreadyHave createdAt updatedAt')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { lists }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Build a shopping list from recipes
+// @route   POST /api/shopping-lists
+// @access  Private
+router.post('/', [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('recipes').isArray({ min: 1, max: MAX_RECIPES_PER_LIST }).withMessage(`Choose between 1 and ${MAX_RECIPES_PER_LIST} recipes`),
+  body('recipes.*.food').isMongoId().withMessage('Invalid food ID'),
+  body('recipes.*.servings').optional().isInt({ min: 1, max: 100 }).withMessage('Servings must be between 1 and 100'),
+  body('units').optional().isIn(['metric', 'us', 'desi']).withMessage('Units must be metric, us or desi'),
+  body('usePantry').optional().isBoolean().withMessage('usePantry must be true or false')
+], validateRequest, async (req, res, next) => {
+  try {
+    const { recipes, units = 'metric', usePantry = true } = req.body;
+
+    const foods = await Food.find({ _id: { $in: recipes.map(recipe => recipe.food) } });
+    const foodsById = new Map(foods.map(food => [food._id.toString(), food]));
+
+    const missing = recipes.find(recipe => {
+      const food = foodsById.get(recipe.food);
+      return !food || !food.isVisibleTo(req.user);
+    });
+
+    if (missing) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Food ${missing.food} not found`
+      });
+    }
+
+    const selected = recipes.map(recipe => {
+      const food = foodsById.get(recipe.food);
+      return { food, servings: recipe.servings || food.servings };
+    });
+
+    let items = await buildShoppingItems(selected, units);
+
+    // Tick off what's already in the pantry
+    if (usePantry) {
+      const pantry = await buildPantryMatchers(req.user._id);
+      items = markPantryItems(items, [...pantry.itemMatchers, ...pantry.stapleMatchers]);
+    }
+
+    const list = await ShoppingList.create({
+      user: req.user._id,
+      name: req.body.name || `Shopping for ${selected.map(({ food }) => food.name).join(', ')}`.slice(0, 100),
+      recipes: selected.map(({ food, servings }) => ({ food: food._id, name: food.name, servings })),
+      units,
+      items
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: listResponse(list)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a shopping list grouped by aisle
+// @route   GET /api/shopping-lists/:id
+// @access  Private
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid shopping list ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+
+    if (!list) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shopping list not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: listResponse(list)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Export a shopping list as plain text or CSV
+// @route   GET /api/shopping-lists/:id/export?format=text|csv
+// @access  Private
+router.get('/:id/export', [
+  param('id').isMongoId().withMessage('Invalid shopping list ID'),
+  query('format').optional().isIn(['text', 'csv']).withMessage('Format must be text or csv')
+], validateRequest, async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+
+    if (!list) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shopping list not found'
+      });
+    }
+
+    const format = req.query.format || 'text';
+    const filename = `shopping-list-${list._id}.${format === 'csv' ? 'csv' : 'txt'}`;
+
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(format === 'csv' ? toCsv(list) : toText(list));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename a shopping list
+// @route   PUT /api/shopping-lists/:id
+// @access  Private
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid shopping list ID'),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters')
+], validateRequest, async (req, res, next) => {
+  try {
+    const list = await ShoppingList.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { name: req.body.name },
+      { new: true, runValidators: true }
+    );
+
+    if (!list) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shopping list not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: listResponse(list)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Check off an item, or mark it as already at home
+// @route   PUT /api/shopping-lists/:id/items/:itemId
+// @access  Private
+router.put('/:id/items/:itemId', [
+  param('id').isMongoId().withMessage('Invalid shopping list ID'),
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  body('checked').optional().isBoolean().withMessage('checked must be true or false'),
+  body('alreadyHave').optional().isBoolean().withMessage('alreadyHave must be true or false')
+], validateRequest, async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+    const item = list && list.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shopping list item not found'
+      });
+    }
+
+    if (req.body.checked !== undefined) item.checked = req.body.checked;
+    if (req.body.alreadyHave !== undefined) item.alreadyHave = req.body.alreadyHave;
+    await list.save();
+
+    res.json({
+      status: 'success',
+      data: { item, remainingCount: list.remainingCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a shopping list
+// @route   DELETE /api/shopping-lists/:id
+// @access  Private
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid shopping list ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const list = await ShoppingList.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!list) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Shopping list not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Shopping list deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { validateRequest } = require('../middleware/validateRequest');
+const { protect } = require('../middleware/auth');
+const { checkLoginThrottle } = require('../middleware/loginThrottle');
+const { recordFailedLogin, rejectBlockedLogin } = require('../utils/login');
+const totp = require('../utils/totp');
+
+const router = express.Router();
+
+// All two-factor routes act on the signed-in user
+router.use(protect);
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+    res.json({
+      status: 'success',
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: user.requiresTwoFactor(),
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start two-factor enrollment (returns secret and otpauth URI for a QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/setup', async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl: totp.buildOtpauthUrl({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Khaana AI'
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/enable', [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    // Sessions opened with just a password shouldn't outlive turning on 2FA
+    await Session.revokeAllForUser(user._id, 'signed-out-remotely', { except: req.sessionId });
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/recovery-codes', checkLoginThrottle, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Wrong codes count as failed logins, so they can't be guessed from a stolen session
+    if (rejectBlockedLogin(user, res)) return;
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      await recordFailedLogin(user, req);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+    await user.resetFailedLogins();
+
+    res.json({
+      status: 'success',
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/disable', checkLoginThrottle, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Two-factor authentication is required for ${user.role} accounts`
+      });
+    }
+
+    // Wrong codes count as failed logins, so they can't be guessed from a stolen session
+    if (rejectBlockedLogin(user, res)) return;
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      await recordFailedLogin(user, req);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+    await user.resetFailedLogins();
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
-const { param, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { protect, authorize } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validateRequest');
+const { purgeUser } = require('../utils/accountDeletion');
+const { reportValidators, handleReport } = require('../utils/moderation');
 
 const router = express.Router();
 
@@ -26,7 +29,7 @@ router.get('/', protect, authorize('admin'), [
     if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
 
     const users = await User.find(filter)
-      .select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires')
+      .select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires -passwordChangedAt')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -72,6 +75,32 @@ router.get('/top-cooks', [
   }
 });
 
+// @desc    Get temporarily locked accounts (admin only)
+// @route   GET /api/users/locked
+// @access  Private (Admin)
+router.get('/locked', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const users = await User.getLocked()
+      .select('name email role loginSecurity.lockUntil loginSecurity.lastFailedAt');
+
+    res.json({
+      status: 'success',
+      data: {
+        users: users.map(user => ({
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          lockUntil: user.loginSecurity.lockUntil,
+          lastFailedAt: user.loginSecurity.lastFailedAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
 // @access  Private
@@ -80,7 +109,7 @@ router.get('/:id', protect, [
 ], validateRequest, async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires');
+      .select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires -passwordChangedAt');
 
     if (!user) {
       return res.status(404).json({
@@ -118,7 +147,7 @@ router.put('/:id/role', protect, authorize('admin'), [
       req.params.id,
       { role: req.body.role },
       { new: true, runValidators: true }
-    ).select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires');
+    ).select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires -passwordChangedAt');
 
     if (!user) {
       return res.status(404).json({
@@ -149,7 +178,7 @@ router.put('/:id/status', protect, authorize('admin'), [
       req.params.id,
       { isActive: req.body.isActive },
       { new: true, runValidators: true }
-    ).select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires');
+    ).select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires -passwordChangedAt');
 
     if (!user) {
       return res.status(404).json({
@@ -158,6 +187,11 @@ router.put('/:id/status', protect, authorize('admin'), [
       });
     }
 
+    // End all sessions of a deactivated user
+    if (!req.body.isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
     res.json({
       status: 'success',
       message: `User ${req.body.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -168,6 +202,33 @@ router.put('/:id/status', protect, authorize('admin'), [
   }
 });
 
+// @desc    Unlock a locked account (admin only)
+// @route   PUT /api/users/:id/unlock
+// @access  Private (Admin)
+router.put('/:id/unlock', protect, authorize('admin'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await user.resetFailedLogins();
+
+    res.json({
+      status: 'success',
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Delete user (admin only)
 // @route   DELETE /api/users/:id
 // @access  Private (Admin)
@@ -183,7 +244,7 @@ router.delete('/:id', protect, authorize('admin'), [
       });
     }
 
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({
@@ -192,6 +253,8 @@ router.delete('/:id', protect, authorize('admin'), [
       });
     }
 
+    await purgeUser(user);
+
     res.json({
       status: 'success',
       message: 'User deleted successfully'
@@ -201,4 +264,28 @@ router.delete('/:id', protect, authorize('admin'), [
   }
 });
 
+// @desc    Report a user profile
+// @route   POST /api/users/:id/report
+// @access  Private
+router.post('/:id/report', protect, [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  ...reportValidators
+], validateRequest, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    req.reportTarget = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, handleReport('user'));
+
 module.exports = router;
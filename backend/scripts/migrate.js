@@ -0,0 +1,47 @@
+// Runs pending data migrations in scripts/migrations, in file-name order.
+//
+// Usage: npm run migrate            - apply every migration not yet applied
+//        npm run migrate -- --list  - show which migrations have been applied
+//
+// Each migration exports { description, up } and is recorded in the
+// `migrations` collection once it succeeds, so it only ever runs once.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+const loadMigrations = () => {
+  return fs.readdirSync(migrationsDir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => ({ name: path.basename(file, '.js'), ...require(path.join(migrationsDir, file)) }));
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const applied = mongoose.connection.db.collection('migrations');
+  const done = new Set((await applied.find().toArray()).map(migration => migration.name));
+
+  for (const migration of loadMigrations()) {
+    if (process.argv.includes('--list')) {
+      console.log(`${done.has(migration.name) ? '✅' : '⏳'} ${migration.name} - ${migration.description}`);
+      continue;
+    }
+    if (done.has(migration.name)) continue;
+
+    console.log(`▶️ ${migration.name} - ${migration.description}`);
+    const result = await migration.up();
+    await applied.insertOne({ name: migration.name, appliedAt: new Date() });
+    console.log(`✅ ${migration.name}${result ? ` (${result})` : ''}`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,24 @@
+const Food = require('../../models/Food');
+const { parseIngredient } = require('../../utils/ingredientParser');
+
+// Backfill the structured form of every existing food's ingredients
+const up = async () => {
+  let updated = 0;
+
+  for await (const food of Food.find().select('ingredients').lean().cursor()) {
+    const ingredients = food.ingredients.map(ingredient => ({
+      ...ingredient,
+      parsed: parseIngredient(ingredient)
+    }));
+
+    await Food.collection.updateOne({ _id: food._id }, { $set: { ingredients } });
+    updated += 1;
+  }
+
+  return `${updated} foods updated`;
+};
+
+module.exports = {
+  description: 'Parse ingredient quantities and units into structured form',
+  up
+};
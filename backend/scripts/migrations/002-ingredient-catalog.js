@@ -0,0 +1,24 @@
+const Ingredient = require('../../models/Ingredient');
+const catalog = require('../../data/ingredients.json');
+const { linkFoodIngredients } = require('../../utils/ingredientMatching');
+
+// Import the starter ingredient catalog and link existing foods to it
+const up = async () => {
+  let added = 0;
+
+  for (const entry of catalog) {
+    const existing = await Ingredient.findOne({ name: entry.name });
+    if (existing) continue;
+
+    await Ingredient.create(entry);
+    added += 1;
+  }
+
+  const linked = await linkFoodIngredients();
+  return `${added} ingredients added, ${linked} foods linked`;
+};
+
+module.exports = {
+  description: 'Import the ingredient catalog from data/ingredients.json and link foods',
+  up
+};
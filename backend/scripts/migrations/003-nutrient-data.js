@@ -0,0 +1,21 @@
+const Ingredient = require('../../models/Ingredient');
+const Food = require('../../models/Food');
+const nutrients = require('../../data/nutrients.json');
+
+// Import per-100g nutrient data onto catalog entries and compute every food's nutrition
+const up = async () => {
+  let imported = 0;
+
+  for (const { name, ...nutrition } of nutrients) {
+    const result = await Ingredient.updateOne({ name }, { $set: { nutrition } });
+    imported += result.matchedCount;
+  }
+
+  const computed = await Food.refreshDerivedFields();
+  return `nutrient data imported for ${imported} ingredients, ${computed} foods computed`;
+};
+
+module.exports = {
+  description: 'Import ingredient nutrient data from data/nutrients.json and compute food nutrition',
+  up
+};
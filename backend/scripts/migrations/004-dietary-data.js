@@ -0,0 +1,32 @@
+const Ingredient = require('../../models/Ingredient');
+const Food = require('../../models/Food');
+
+const legacyFlags = ['isVegetarian', 'isVegan', 'isGlutenFree'];
+
+// Work out allergens and diets for the catalog and every food. The old
+// vegetarian/vegan/gluten-free flags were set by hand and now follow the
+// ingredients, so report how many changed for staff to review.
+const up = async () => {
+  let ingredients = 0;
+  for await (const ingredient of Ingredient.find().cursor()) {
+    await ingredient.save();
+    ingredients += 1;
+  }
+
+  let foods = 0;
+  let changed = 0;
+  for await (const food of Food.find().select(`ingredients servings nutrition dietaryOverrides ${legacyFlags.join(' ')}`).lean().cursor()) {
+    const derived = await Food.deriveFields(food);
+    await Food.collection.updateOne({ _id: food._id }, { $set: derived });
+
+    foods += 1;
+    if (legacyFlags.some(flag => Boolean(food[flag]) !== derived[flag])) changed += 1;
+  }
+
+  return `${ingredients} ingredients and ${foods} foods updated, ${changed} foods had their diet flags changed`;
+};
+
+module.exports = {
+  description: 'Work out allergens and diets for ingredients and foods',
+  up
+};
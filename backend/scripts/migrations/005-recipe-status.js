@@ -0,0 +1,16 @@
+const Food = require('../../models/Food');
+
+// Everything that was already live before the review workflow stays live
+const up = async () => {
+  const result = await Food.collection.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: 'published', 'review.publishedAt': '$createdAt' } }]
+  );
+
+  return `${result.modifiedCount} foods marked as published`;
+};
+
+module.exports = {
+  description: 'Mark existing foods as published',
+  up
+};
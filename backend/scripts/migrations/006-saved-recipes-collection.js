@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Collection = require('../../models/Collection');
+
+// The collection holding part `index` of a user's saved recipes always gets the
+// same ID, so a rerun after a failure finds the collections it already wrote
+// instead of creating them again - whatever the user has named their own
+const partId = (userId, index) => {
+  const hash = crypto.createHash('sha256').update(`saved-recipes:${userId}:${index}`).digest('hex');
+  return new mongoose.Types.ObjectId(hash.slice(0, 24));
+};
+
+// stats.savedRecipes was never exposed through the API and is no longer in the
+// schema. Move whatever is in it into private "Saved recipes" collections - a
+// second "Saved recipes (2)" and so on when there are more than a collection
+// holds. The list is only cleared once every recipe in it has been written.
+const up = async () => {
+  let users = 0;
+  let recipes = 0;
+
+  for await (const user of User.collection.find({ 'stats.savedRecipes.0': { $exists: true } }, { projection: { 'stats.savedRecipes': 1 } })) {
+    const foods = [...new Set(user.stats.savedRecipes.map(String))];
+
+    for (let index = 0; index * Collection.maxItems < foods.length; index++) {
+      const _id = partId(user._id, index);
+      if (await Collection.exists({ _id })) continue;
+
+      await Collection.create({
+        _id,
+        owner: user._id,
+        name: index === 0 ? 'Saved recipes' : `Saved recipes (${index + 1})`,
+        items: foods.slice(index * Collection.maxItems, (index + 1) * Collection.maxItems).map(food => ({ food }))
+      });
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $unset: { 'stats.savedRecipes': '' } });
+    users += 1;
+    recipes += foods.length;
+  }
+
+  // Empty lists never matched above
+  await User.collection.updateMany({ 'stats.savedRecipes': { $exists: true } }, { $unset: { 'stats.savedRecipes': '' } });
+
+  return `${recipes} saved recipes moved into collections for ${users} users`;
+};
+
+module.exports = {
+  description: 'Move saved recipes into "Saved recipes" collections',
+  up
+};
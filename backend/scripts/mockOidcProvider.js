@@ -0,0 +1,109 @@
+// Minimal OpenID Connect provider for local development and tests.
+//
+// Usage: node scripts/mockOidcProvider.js
+// Then set OIDC_PROVIDERS=mock, OIDC_MOCK_ISSUER=http://localhost:4011 and
+// OIDC_MOCK_CLIENT_ID=khaana-local. Every /authorize request is approved
+// straight away as MOCK_OIDC_EMAIL (or the login_hint query parameter).
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const createMockOidcProvider = ({ issuer, clientId = 'khaana-local', email = 'cook@example.com' }) => {
+  const app = express();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== clientId || !redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    const userEmail = (req.query.login_hint || email).toLowerCase();
+    codes.set(code, { clientId: client_id, redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, email: userEmail });
+
+    const url = new URL(redirect_uri);
+    url.searchParams.set('code', code);
+    url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const pending = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = req.body.code_verifier &&
+      crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+
+    if (
+      !pending ||
+      req.body.grant_type !== 'authorization_code' ||
+      req.body.client_id !== pending.clientId ||
+      req.body.redirect_uri !== pending.redirectUri ||
+      challenge !== pending.codeChallenge
+    ) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({
+      email: pending.email,
+      email_verified: true,
+      name: pending.email.split('@')[0],
+      nonce: pending.nonce
+    }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: pending.clientId,
+      subject: crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 24),
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 4011;
+  const app = createMockOidcProvider({
+    issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID,
+    email: process.env.MOCK_OIDC_EMAIL
+  });
+
+  app.listen(port, () => {
+    console.log(`🔑 Mock OIDC provider running on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockOidcProvider };
@@ -1,3 +1,4 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -9,20 +10,37 @@ const hpp = require('hpp');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const storageConfig = require('./config/storage');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
+const oauthRoutes = require('./routes/oauth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const userRoutes = require('./routes/users');
 const foodRoutes = require('./routes/foods');
 const recipeRoutes = require('./routes/recipes');
 const waitlistRoutes = require('./routes/waitlist');
+const apiKeyRoutes = require('./routes/apiKeys');
+const moderationRoutes = require('./routes/moderation');
+const ingredientRoutes = require('./routes/ingredients');
+const pantryRoutes = require('./routes/pantry');
+const notificationRoutes = require('./routes/notifications');
+const shoppingListRoutes = require('./routes/shoppingLists');
+const mealPlanRoutes = require('./routes/mealPlans');
+const scheduledCookRoutes = require('./routes/scheduledCooks');
+const collectionRoutes = require('./routes/collections');
 
 const app = express();
 
 // Connect to database
 connectDB();
 
+// Start background jobs
+startJobs();
+
 // Security middleware
 app.use(helmet());
 app.use(mongoSanitize());
@@ -71,11 +89,33 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/oauth', oauthRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/auth', accountRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/foods', foodRoutes);
 app.use('/api/recipes', recipeRoutes);
 app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/ingredients', ingredientRoutes);
+app.use('/api/pantry', pantryRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/shopping-lists', shoppingListRoutes);
+app.use('/api/meal-plans', mealPlanRoutes);
+app.use('/api/scheduled-cooks', scheduledCookRoutes);
+app.use('/api/collections', collectionRoutes);
+
+// Uploaded images, when they're stored on this server rather than S3.
+// Files never change once written, and the frontend may be on another origin.
+if (storageConfig.driver === 'local') {
+  app.use('/uploads', express.static(storageConfig.local.directory, {
+    immutable: true,
+    maxAge: '1y',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
 
 // Serve static files (for production)
 if (process.env.NODE_ENV === 'production') {
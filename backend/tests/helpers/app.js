@@ -0,0 +1,40 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const errorHandler = require('../../middleware/errorHandler');
+const { issueAuthTokens } = require('../../utils/tokens');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// An app with only the given routers mounted, in the order server.js mounts them
+const buildApp = (mounts) => {
+  const app = express();
+  app.use(express.json());
+  mounts.forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+  return app;
+};
+
+// Store a user directly - the password is hashed at the lowest cost to keep tests fast
+const createUser = async ({ password = 'secret123', ...fields } = {}) => {
+  const user = new User({
+    name: 'Asha',
+    email: `cook${Math.random().toString(36).slice(2, 10)}@example.com`,
+    isEmailVerified: true,
+    ...fields
+  });
+  user.password = bcrypt.hashSync(password, 4);
+
+  await user.validate();
+  await User.collection.insertOne(user.toObject());
+  return User.findById(user._id);
+};
+
+// Start a session for the user as a login would - returns { token, refreshToken, session }
+const signIn = (user) => issueAuthTokens(user, { ip: '127.0.0.1', body: {}, get: () => 'jest' });
+
+module.exports = {
+  buildApp,
+  createUser,
+  signIn
+};
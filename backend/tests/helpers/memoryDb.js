@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const { default: sift } = require('sift');
+const { EJSON } = require('bson');
+
+// A stand-in for the MongoDB driver so route tests can run the real models and
+// queries without a database server. Every operation runs to completion before
+// it yields, so single-document updates are atomic just as they are in MongoDB.
+// Only the operators this codebase uses are supported.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  doc
+);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length ? undefined : doc);
+  if (parent && typeof parent === 'object') delete parent[last];
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && value._bsontype === 'ObjectId') return value.toHexString();
+  return value;
+};
+
+const equals = (a, b) => EJSON.stringify(a ?? null) === EJSON.stringify(b ?? null);
+
+// Matches a single array element against a $pull condition
+const elementMatcher = (condition) => (isPlainObject(condition)
+  ? sift(condition)
+  : (item) => equals(comparable(item), comparable(condition)));
+
+// Resolves the positional `$` to the first array element the filter matched
+const resolvePositional = (doc, path, filter) => {
+  if (!path.includes('.$')) return [path];
+
+  const [prefix, rest] = path.split('.$');
+  if (rest.startsWith('[]')) {
+    const items = getPath(doc, prefix) || [];
+    return items.flatMap((item, index) => resolvePositional(doc, `${prefix}.${index}${rest.slice(2)}`, filter));
+  }
+
+  const conditions = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === prefix && value && value.$elemMatch) Object.assign(conditions, value.$elemMatch);
+    if (key.startsWith(`${prefix}.`)) conditions[key.slice(prefix.length + 1)] = value;
+  }
+  const index = (getPath(doc, prefix) || []).findIndex(sift(conditions));
+  if (index === -1) throw new Error(`The positional operator did not find the match needed from the query: ${path}`);
+  return [`${prefix}.${index}${rest}`];
+};
+
+const applyUpdate = (doc, update, { filter = {}, isInsert = false } = {}) => {
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    const { _id } = doc;
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, clone(update), { _id });
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(fields)) {
+      for (const path of resolvePositional(doc, field, filter)) {
+        const current = getPath(doc, path);
+        switch (operator) {
+          case '$set':
+            setPath(doc, path, clone(value));
+            break;
+          case '$setOnInsert':
+            if (isInsert) setPath(doc, path, clone(value));
+            break;
+          case '$unset':
+            unsetPath(doc, path);
+            break;
+          case '$inc':
+            setPath(doc, path, (current || 0) + value);
+            break;
+          case '$max':
+            if (current === undefined || comparable(value) > comparable(current)) setPath(doc, path, clone(value));
+            break;
+          case '$min':
+            if (current === undefined || comparable(value) < comparable(current)) setPath(doc, path, clone(value));
+            break;
+          case '$currentDate':
+            setPath(doc, path, new Date());
+            break;
+          case '$push':
+          case '$addToSet': {
+            const items = value && value.$each ? value.$each : [value];
+            const list = current || [];
+            for (const item of items) {
+              if (operator === '$addToSet' && list.some(existing => equals(existing, item))) continue;
+              list.push(clone(item));
+            }
+            setPath(doc, path, list);
+            break;
+          }
+          case '$pull': {
+            if (!Array.isArray(current)) break;
+            const matches = elementMatcher(value);
+            setPath(doc, path, current.filter(item => !matches(item)));
+            break;
+          }
+          default:
+            throw new Error(`${operator} is not supported by the in-memory test database`);
+        }
+      }
+    }
+  }
+};
+
+const compareValues = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const fields = Array.isArray(sort) ? sort : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(getPath(a, field), getPath(b, field));
+      if (order) return direction === -1 || direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+};
+
+const project = (doc, projection) => {
+  const result = clone(doc);
+  const fields = Object.entries(projection || {}).filter(([, value]) => typeof value !== 'object');
+  if (!fields.length) return result;
+
+  const inclusive = fields.some(([, value]) => value);
+  if (!inclusive) {
+    fields.forEach(([field]) => unsetPath(result, field));
+    return result;
+  }
+
+  const picked = {};
+  if (!fields.some(([field, value]) => field === '_id' && !value)) picked._id = result._id;
+  fields.filter(([field, value]) => field !== '_id' && value).forEach(([field]) => {
+    const value = getPath(result, field);
+    if (value !== undefined) setPath(picked, field, value);
+  });
+  return picked;
+};
+
+// Equality conditions in an upsert's filter become fields of the inserted document
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isPlainObject(value) && Object.keys(value).some(operator => operator.startsWith('$'))) {
+      if ('$eq' in value) setPath(doc, key, clone(value.$eq));
+      continue;
+    }
+    setPath(doc, key, clone(value));
+  }
+  return doc;
+};
+
+class MemoryCursor {
+  constructor(docs, options = {}) {
+    this.docs = docs;
+    this.options = { ...options };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    const { sort, skip = 0, limit, projection } = this.options;
+    const docs = sortDocs(this.docs, sort).slice(skip, limit ? skip + limit : undefined);
+    return docs.map(doc => project(doc, projection));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+  }
+
+  matching(filter = {}) {
+    const matches = sift(filter);
+    return this.docs.filter(doc => matches(doc));
+  }
+
+  first(filter, options = {}) {
+    return sortDocs(this.matching(filter), options.sort)[0];
+  }
+
+  insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new mongoose.Types.ObjectId();
+    this.docs.push(stored);
+    return stored;
+  }
+
+  update(filter, update, options, many) {
+    let matched = many ? this.matching(filter) : [this.first(filter, options)].filter(Boolean);
+    if (!matched.length && options.upsert) {
+      const doc = this.insert(seedFromFilter(filter));
+      applyUpdate(doc, update, { filter, isInsert: true });
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id, docs: [doc] };
+    }
+
+    let modifiedCount = 0;
+    matched = matched.map(doc => {
+      const before = EJSON.stringify(doc);
+      applyUpdate(doc, update, { filter });
+      if (EJSON.stringify(doc) !== before) modifiedCount += 1;
+      return doc;
+    });
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount, upsertedCount: 0, upsertedId: null, docs: matched };
+  }
+
+  remove(docs) {
+    this.docs = this.docs.filter(doc => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async insertOne(doc) {
+    return { acknowledged: true, insertedId: this.insert(doc)._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = docs.map(doc => this.insert(doc)._id);
+    return { acknowledged: true, insertedCount: insertedIds.length, insertedIds: { ...insertedIds } };
+  }
+
+  async findOne(filter, options = {}) {
+    const doc = this.first(filter, options);
+    return doc ? project(doc, options.projection) : null;
+  }
+
+  find(filter, options = {}) {
+    return new MemoryCursor(this.matching(filter), options);
+  }
+
+  async countDocuments(filter) {
+    return this.matching(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = this.matching(filter).flatMap(doc => [].concat(getPath(doc, field) ?? []));
+    return values.filter((value, index) => values.findIndex(other => equals(other, value)) === index);
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { docs, ...result } = this.update(filter, update, options, false);
+    return result;
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { docs, ...result } = this.update(filter, update, options, true);
+    return result;
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const existing = this.first(filter, options);
+    const before = existing ? clone(existing) : null;
+    const { docs } = this.update(filter, update, options, false);
+    const after = docs[0] || null;
+    const doc = options.returnDocument === 'after' ? after : before;
+    const value = doc ? project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1, lastErrorObject: { updatedExisting: !!existing } } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const doc = this.first(filter, options);
+    if (doc) this.remove([doc]);
+    const value = doc ? project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async deleteOne(filter) {
+    return this.remove([this.first(filter)].filter(Boolean));
+  }
+
+  async deleteMany(filter) {
+    return this.remove(this.matching(filter));
+  }
+
+  aggregate() {
+    throw new Error('aggregate is not supported by the in-memory test database');
+  }
+
+  async createIndex() {}
+
+  async createIndexes() {}
+
+  async dropIndexes() {}
+}
+
+const collections = new Map();
+
+const db = {
+  collection(name) {
+    if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+    return collections.get(name);
+  }
+};
+
+// Points every model - including ones compiled later - at the in-memory collections
+const connect = () => {
+  mongoose.set('autoIndex', false);
+  mongoose.set('autoCreate', false);
+  mongoose.connection.db = db;
+  Object.values(mongoose.connection.collections).forEach(collection => collection.onOpen());
+};
+
+const clear = () => collections.forEach(collection => {
+  collection.docs = [];
+});
+
+module.exports = {
+  connect,
+  clear,
+  collection: db.collection
+};
@@ -0,0 +1,63 @@
+const { buildCalendar } = require('../utils/ical');
+
+const event = {
+  uid: 'cook-1@khaana-ai',
+  start: new Date('2026-03-01T12:30:00.000Z'),
+  end: new Date('2026-03-01T13:30:00.000Z'),
+  summary: 'Cook Dal Makhani'
+};
+
+const unfold = calendar => calendar.replace(/\r\n /g, '');
+
+describe('buildCalendar', () => {
+  it('writes a calendar with CRLF line endings', () => {
+    const calendar = buildCalendar({ name: 'My cooks', events: [event] });
+    const lines = calendar.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('DTSTART:20260301T123000Z');
+    expect(lines).toContain('DTEND:20260301T133000Z');
+    expect(lines).toContain('SUMMARY:Cook Dal Makhani');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('escapes commas, semicolons, backslashes and newlines in text', () => {
+    const calendar = buildCalendar({
+      name: 'Dal; rice, roti',
+      events: [{ ...event, description: 'Soak overnight\nC:\\dal' }]
+    });
+
+    expect(calendar).toContain('X-WR-CALNAME:Dal\\; rice\\, roti');
+    expect(unfold(calendar)).toContain('DESCRIPTION:Soak overnight\\nC:\\\\dal');
+  });
+
+  it('folds lines longer than 75 octets', () => {
+    const summary = 'Paneer tikka masala with jeera rice, garlic naan and a cooling cucumber raita';
+    const calendar = buildCalendar({ name: 'My cooks', events: [{ ...event, summary }] });
+
+    calendar.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    });
+    expect(unfold(calendar)).toContain(`SUMMARY:${summary.replace(/,/g, '\\,')}`);
+  });
+
+  it('never splits a multi-byte character when folding', () => {
+    const summary = 'दाल मखनी '.repeat(6);
+    const calendar = buildCalendar({ name: 'My cooks', events: [{ ...event, summary }] });
+
+    calendar.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(unfold(calendar)).toContain(`SUMMARY:${summary}`);
+  });
+
+  it('adds an alarm only when asked for, including at zero minutes', () => {
+    expect(buildCalendar({ name: 'x', events: [event] })).not.toContain('BEGIN:VALARM');
+
+    const calendar = buildCalendar({ name: 'x', events: [{ ...event, alarmMinutes: 0 }] });
+    expect(calendar).toContain('BEGIN:VALARM');
+    expect(calendar).toContain('TRIGGER:-PT0M');
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Ingredient = require('../models/Ingredient');
+const {
+  escapeRegExp,
+  wordRegExp,
+  buildIngredientMatchers,
+  matchersFilter,
+  ingredientMatches
+} = require('../utils/ingredientMatching');
+
+describe('escapeRegExp', () => {
+  it('escapes every RegExp special character', () => {
+    const text = 'a.b*c+d?(e)[f]{g}|h^i$j\\k';
+    expect(new RegExp(`^${escapeRegExp(text)}$`).test(text)).toBe(true);
+  });
+});
+
+describe('wordRegExp', () => {
+  it('matches whole words and phrases only', () => {
+    const oil = wordRegExp('oil');
+    expect(oil.test('mustard oil')).toBe(true);
+    expect(oil.test('Oil')).toBe(true);
+    expect(oil.test('boiled potatoes')).toBe(false);
+  });
+
+  it('matches plurals', () => {
+    expect(wordRegExp('tomato').test('ripe tomatoes')).toBe(true);
+    expect(wordRegExp('onion').test('onions')).toBe(true);
+  });
+
+  it('treats search terms as literal text', () => {
+    expect(wordRegExp('c++').test('c++')).toBe(false);
+    expect(() => wordRegExp('(')).not.toThrow();
+  });
+});
+
+describe('buildIngredientMatchers', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('adds catalog names and synonyms to each term', async () => {
+    const potato = new Ingredient({ name: 'potato', synonyms: [{ term: 'aloo' }] });
+    jest.spyOn(Ingredient, 'resolveNames').mockResolvedValue(new Map([['aloo', potato], ['saffron', null]]));
+
+    const [aloo, saffron] = await buildIngredientMatchers(['aloo', 'saffron']);
+
+    expect(aloo.ingredient).toEqual({ _id: potato._id, name: 'potato' });
+    expect(aloo.patterns.some(pattern => pattern.test('boiled potatoes'))).toBe(true);
+    expect(saffron.ingredient).toBeNull();
+    expect(saffron.patterns).toHaveLength(1);
+  });
+});
+
+describe('matchersFilter', () => {
+  it('matches by name, and by catalog link when there is one', () => {
+    const ingredientId = new mongoose.Types.ObjectId();
+    const filter = matchersFilter([
+      { term: 'aloo', ingredient: { _id: ingredientId, name: 'potato' }, patterns: [wordRegExp('aloo')] },
+      { term: 'saffron', ingredient: null, patterns: [wordRegExp('saffron')] }
+    ]);
+
+    expect(filter.$or[0]['ingredients.name'].$in).toHaveLength(2);
+    expect(filter.$or[1]).toEqual({ 'ingredients.ingredient': { $in: [ingredientId] } });
+  });
+
+  it('leaves out the catalog condition when nothing was found', () => {
+    const filter = matchersFilter([{ term: 'saffron', ingredient: null, patterns: [wordRegExp('saffron')] }]);
+    expect(filter.$or).toHaveLength(1);
+  });
+});
+
+describe('ingredientMatches', () => {
+  const ingredientId = new mongoose.Types.ObjectId();
+  const matcher = { term: 'aloo', ingredient: { _id: ingredientId, name: 'potato' }, patterns: [wordRegExp('aloo')] };
+
+  it('matches on the catalog link whatever the name', () => {
+    expect(ingredientMatches({ name: 'baby potatoes', ingredient: ingredientId }, matcher)).toBe(true);
+  });
+
+  it('falls back to the name', () => {
+    expect(ingredientMatches({ name: 'aloo, cubed' }, matcher)).toBe(true);
+    expect(ingredientMatches({ name: 'sweet corn', ingredient: new mongoose.Types.ObjectId() }, matcher)).toBe(false);
+  });
+});
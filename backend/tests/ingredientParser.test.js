@@ -0,0 +1,74 @@
+const { parseNumber, parsePreparation, parseIngredient } = require('../utils/ingredientParser');
+
+describe('parseNumber', () => {
+  it('reads whole numbers, decimals and fractions', () => {
+    expect(parseNumber('2')).toBe(2);
+    expect(parseNumber('1.5')).toBe(1.5);
+    expect(parseNumber('1/2')).toBe(0.5);
+    expect(parseNumber('1 1/2')).toBe(1.5);
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseNumber('a few')).toBeNull();
+    expect(parseNumber('1/0')).toBeNull();
+  });
+});
+
+describe('parsePreparation', () => {
+  it('splits off a preparation after a comma, in brackets or in front', () => {
+    expect(parsePreparation('onion, finely chopped')).toEqual({ name: 'onion', preparation: 'finely chopped' });
+    expect(parsePreparation('tomatoes (deseeded)')).toEqual({ name: 'tomatoes', preparation: 'deseeded' });
+    expect(parsePreparation('Finely Chopped ginger')).toEqual({ name: 'ginger', preparation: 'finely chopped' });
+  });
+
+  it('leaves a plain name alone', () => {
+    expect(parsePreparation('paneer')).toEqual({ name: 'paneer', preparation: '' });
+  });
+});
+
+describe('parseIngredient', () => {
+  it('parses a measured amount', () => {
+    expect(parseIngredient({ name: 'rice', quantity: '1 1/2', unit: 'cups' })).toEqual({
+      name: 'rice',
+      quantityMin: 1.5,
+      quantityMax: 1.5,
+      unit: 'cup',
+      preparation: '',
+      scalable: true
+    });
+  });
+
+  it('parses ranges and unicode fractions', () => {
+    expect(parseIngredient({ name: 'ghee', quantity: '2-3', unit: 'tbsp' })).toMatchObject({ quantityMin: 2, quantityMax: 3, unit: 'tbsp' });
+    expect(parseIngredient({ name: 'ghee', quantity: '3 to 2', unit: 'tbsp' })).toMatchObject({ quantityMin: 2, quantityMax: 3 });
+    expect(parseIngredient({ name: 'salt', quantity: '1½', unit: 'tsp' })).toMatchObject({ quantityMin: 1.5, quantityMax: 1.5 });
+  });
+
+  it('reads a unit written into the quantity', () => {
+    expect(parseIngredient({ name: 'oil', quantity: '1 tsp', unit: '' })).toMatchObject({ quantityMin: 1, unit: 'tsp', scalable: true });
+    expect(parseIngredient({ name: 'coriander', quantity: 'a handful', unit: '' })).toMatchObject({ quantityMin: 1, unit: 'handful', scalable: true });
+  });
+
+  it('keeps measure modifiers as preparation notes', () => {
+    expect(parseIngredient({ name: 'sugar', quantity: '1 tsp heaped', unit: '' })).toMatchObject({
+      quantityMin: 1,
+      unit: 'tsp',
+      preparation: 'heaped'
+    });
+    expect(parseIngredient({ name: 'onion, sliced', quantity: '2', unit: 'large' })).toMatchObject({
+      name: 'onion',
+      quantityMin: 2,
+      unit: 'piece',
+      preparation: 'sliced, large'
+    });
+  });
+
+  it('marks vague amounts as not scalable', () => {
+    expect(parseIngredient({ name: 'hing', quantity: 'a pinch', unit: '' })).toMatchObject({ quantityMin: 1, unit: 'pinch', scalable: false });
+    expect(parseIngredient({ name: 'salt', quantity: 'to taste', unit: '' })).toMatchObject({ quantityMin: null, unit: 'to taste', scalable: false });
+  });
+
+  it('counts plain numbers as pieces', () => {
+    expect(parseIngredient({ name: 'green chillies', quantity: '2', unit: '' })).toMatchObject({ quantityMin: 2, unit: 'piece', scalable: true });
+  });
+});
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const memoryDb = require('./helpers/memoryDb');
+const Food = require('../models/Food');
+const User = require('../models/User');
+const MealPlan = require('../models/MealPlan');
+const { generateMealPlanEntries } = require('../utils/mealPlanner');
+
+const addFoods = (count, { category, popularity, cuisine = 'north-indian' }) => Food.collection.insertMany(
+  Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `${category} ${index}`,
+    category,
+    cuisine,
+    difficulty: 'easy',
+    spiceLevel: 'mild',
+    prepTime: 10,
+    cookTime: 20,
+    servings: 2,
+    status: 'published',
+    popularity: popularity - index,
+    rating: { average: 4, count: 1 }
+  }))
+);
+
+describe('generateMealPlanEntries', () => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com' });
+  const plan = () => new MealPlan({ user: user._id, weekStart: new Date('2026-03-02T00:00:00Z'), entries: [] });
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(() => memoryDb.clear());
+
+  it('fills slots whose dishes are less popular than a full pool of others', async () => {
+    await addFoods(80, { category: 'curry', popularity: 1000 });
+    await addFoods(7, { category: 'beverage', popularity: 10 });
+
+    const { entries, unfilled } = await generateMealPlanEntries({ user, plan: plan(), slots: ['breakfast', 'dinner'] });
+
+    expect(unfilled).toEqual([]);
+    const categories = await Food.find({ _id: { $in: entries.map(entry => entry.food) } }).distinct('category');
+    expect(categories.sort()).toEqual(['beverage', 'curry']);
+    expect(entries.filter(entry => entry.slot === 'breakfast')).toHaveLength(7);
+  });
+
+  it('never plans the same dish twice across slots that share a category', async () => {
+    await addFoods(10, { category: 'snack', popularity: 100 });
+
+    const { entries, unfilled } = await generateMealPlanEntries({ user, plan: plan(), slots: ['breakfast', 'snack'] });
+
+    expect(entries).toHaveLength(10);
+    expect(new Set(entries.map(entry => entry.food.toString())).size).toBe(10);
+    expect(unfilled).toHaveLength(4);
+  });
+});
@@ -0,0 +1,97 @@
+const { ingredientGrams, calculateNutrition, compareNutrition, nutritionSummary } = require('../utils/nutrition');
+
+const parsed = (quantityMin, unit, quantityMax = quantityMin) => ({ quantityMin, quantityMax, unit });
+
+describe('ingredientGrams', () => {
+  it('converts masses directly', () => {
+    expect(ingredientGrams(parsed(1, 'kg'), {})).toBe(1000);
+    expect(ingredientGrams(parsed(100, 'g', 200), {})).toBe(150);
+  });
+
+  it('needs a density for volumes', () => {
+    expect(ingredientGrams(parsed(100, 'ml'), { gramsPerMl: 0.9 })).toBeCloseTo(90);
+    expect(ingredientGrams(parsed(1, 'cup'), {})).toBeNull();
+  });
+
+  it('uses catalog or default weights for counted and vague units', () => {
+    expect(ingredientGrams(parsed(2, 'piece'), { unitWeights: new Map([['piece', 50]]) })).toBe(100);
+    expect(ingredientGrams(parsed(2, 'clove'), { unitWeights: { clove: 5 } })).toBe(10);
+    expect(ingredientGrams(parsed(1, 'handful'), {})).toBe(30);
+    expect(ingredientGrams(parsed(2, 'piece'), {})).toBeNull();
+  });
+
+  it('counts "to taste" as nothing and unparsed amounts as unknown', () => {
+    expect(ingredientGrams({ quantityMin: null, quantityMax: null, unit: 'to taste' }, {})).toBe(0);
+    expect(ingredientGrams(parsed(null, 'g'), {})).toBeNull();
+    expect(ingredientGrams(undefined, {})).toBeNull();
+  });
+});
+
+describe('calculateNutrition', () => {
+  const catalog = new Map([
+    ['rice', { name: 'rice', nutrition: { per100g: { calories: 360, protein: 7, carbs: 80, fat: 1, fiber: 1 } } }],
+    ['ghee', { name: 'ghee', nutrition: { per100g: { calories: 900, fat: 100 }, gramsPerMl: 0.9 } }]
+  ]);
+
+  const food = {
+    servings: 2,
+    ingredients: [
+      { name: 'basmati rice', ingredient: 'rice', parsed: parsed(200, 'g') },
+      { name: 'ghee', ingredient: 'ghee', parsed: parsed(10, 'ml') },
+      { name: 'saffron', parsed: parsed(1, 'pinch') }
+    ]
+  };
+
+  it('adds up per-serving nutrition from the linked ingredients', () => {
+    const result = calculateNutrition(food, catalog);
+
+    expect(result.perServing).toEqual({ calories: 401, protein: 7, carbs: 80, fat: 5.5, fiber: 1 });
+    expect(result.breakdown.map(item => [item.ingredient, item.grams])).toEqual([['rice', 200], ['ghee', 9]]);
+  });
+
+  it('reports what it could not cost', () => {
+    const result = calculateNutrition(food, catalog);
+
+    expect(result.missingIngredients).toEqual(['saffron']);
+    expect(result.coverage).toBe(0.67);
+  });
+
+  it('handles a recipe with no ingredients', () => {
+    const result = calculateNutrition({ servings: 1, ingredients: [] }, catalog);
+    expect(result.coverage).toBe(0);
+    expect(result.perServing.calories).toBe(0);
+  });
+});
+
+describe('compareNutrition', () => {
+  const computed = { calories: 400, protein: 10, carbs: 60, fat: 12, fiber: 4 };
+
+  it('flags fields the chef got far wrong', () => {
+    const result = compareNutrition({ calories: 250, protein: 10 }, computed, 1);
+
+    expect(result.divergent).toBe(true);
+    expect(result.fields).toEqual([{ field: 'calories', manual: 250, computed: 400, difference: 150 }]);
+  });
+
+  it('ignores small absolute differences', () => {
+    expect(compareNutrition({ fiber: 3.5 }, computed, 1).divergent).toBe(false);
+  });
+
+  it('does not compare when too little of the recipe was costed', () => {
+    expect(compareNutrition({ calories: 100 }, computed, 0.5)).toEqual({ divergent: false, fields: [] });
+  });
+});
+
+describe('nutritionSummary', () => {
+  it('keeps the stored part of a calculation', () => {
+    const summary = nutritionSummary({
+      perServing: { calories: 400, protein: 10, carbs: 60, fat: 12, fiber: 4 },
+      coverage: 1,
+      missingIngredients: [],
+      divergence: { divergent: true, fields: [{ field: 'calories' }] }
+    });
+
+    expect(summary).toMatchObject({ calories: 400, coverage: 1, divergent: true, divergentFields: ['calories'] });
+    expect(summary.computedAt).toBeInstanceOf(Date);
+  });
+});
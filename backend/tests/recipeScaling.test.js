@@ -0,0 +1,112 @@
+const { roundForKitchen, formatQuantity, scaleIngredient, scaleIngredients } = require('../utils/recipeScaling');
+
+describe('formatQuantity', () => {
+  it('writes common fractions the way cooks do', () => {
+    expect(formatQuantity(2)).toBe('2');
+    expect(formatQuantity(0.25)).toBe('1/4');
+    expect(formatQuantity(1.5)).toBe('1 1/2');
+    expect(formatQuantity(2 / 3)).toBe('2/3');
+  });
+
+  it('falls back to a decimal for odd amounts', () => {
+    expect(formatQuantity(0.3)).toBe('0.3');
+  });
+});
+
+describe('roundForKitchen', () => {
+  it('rounds grams and ml to amounts that can be weighed', () => {
+    expect(roundForKitchen(7.4, 'g')).toBe(7);
+    expect(roundForKitchen(0.2, 'g')).toBe(1);
+    expect(roundForKitchen(47, 'ml')).toBe(45);
+    expect(roundForKitchen(123, 'g')).toBe(120);
+  });
+
+  it('rounds spoons to measuring-spoon fractions', () => {
+    expect(roundForKitchen(0.3, 'tsp')).toBe(0.25);
+    expect(roundForKitchen(1.3, 'tbsp')).toBe(1.25);
+  });
+
+  it('rounds counted items to halves, then whole items', () => {
+    expect(roundForKitchen(0.2, 'piece')).toBe(0.5);
+    expect(roundForKitchen(1.3, 'piece')).toBe(1.5);
+    expect(roundForKitchen(4.4, 'clove')).toBe(4);
+  });
+});
+
+describe('scaleIngredient', () => {
+  it('scales measured amounts and keeps the author\'s unit', () => {
+    expect(scaleIngredient({ name: 'ghee', quantity: '2', unit: 'Tablespoons' }, 2)).toEqual({
+      name: 'ghee',
+      quantity: '4',
+      unit: 'Tablespoons',
+      preparation: '',
+      scaled: true
+    });
+  });
+
+  it('keeps a unit that was written into the quantity', () => {
+    expect(scaleIngredient({ name: 'oil', quantity: '1 tsp', unit: '' }, 2)).toMatchObject({ quantity: '2', unit: 'tsp' });
+    expect(scaleIngredient({ name: 'coriander', quantity: 'a handful', unit: '' }, 2)).toMatchObject({ quantity: '2', unit: 'handful' });
+    expect(scaleIngredient({ name: 'sugar', quantity: '1 tsp heaped', unit: '' }, 2)).toMatchObject({
+      quantity: '2',
+      unit: 'tsp',
+      preparation: 'heaped'
+    });
+  });
+
+  it('shows plain counts without a unit', () => {
+    expect(scaleIngredient({ name: 'onions', quantity: '2', unit: '' }, 2)).toMatchObject({ quantity: '4', unit: '' });
+    expect(scaleIngredient({ name: 'onions', quantity: '2 large', unit: '' }, 2)).toMatchObject({ quantity: '4', unit: '', preparation: 'large' });
+  });
+
+  it('scales both ends of a range', () => {
+    expect(scaleIngredient({ name: 'ghee', quantity: '2-3', unit: 'tbsp' }, 2)).toMatchObject({ quantity: '4-6', unit: 'tbsp' });
+  });
+
+  it('converts into a measurement system', () => {
+    expect(scaleIngredient({ name: 'salt', quantity: '1 1/2', unit: 'tsp' }, 2, 'metric')).toMatchObject({ quantity: '1', unit: 'tbsp' });
+    expect(scaleIngredient({ name: 'flour', quantity: '750', unit: 'g' }, 2, 'metric')).toMatchObject({ quantity: '1 1/2', unit: 'kg' });
+  });
+
+  it('leaves vague amounts untouched', () => {
+    expect(scaleIngredient({ name: 'salt', quantity: 'to taste', unit: '' }, 3)).toEqual({
+      name: 'salt',
+      quantity: 'to taste',
+      unit: '',
+      preparation: '',
+      scaled: false
+    });
+    expect(scaleIngredient({ name: 'hing', quantity: '1', unit: 'pinch' }, 3)).toMatchObject({ quantity: '1', scaled: false });
+  });
+
+  it('leaves a zero amount unscaled', () => {
+    expect(scaleIngredient({ name: 'sugar', quantity: '0', unit: 'g' }, 3, 'us')).toEqual({
+      name: 'sugar',
+      quantity: '0',
+      unit: 'g',
+      preparation: '',
+      scaled: false
+    });
+  });
+
+  it('uses the stored parse when there is one', () => {
+    const ingredient = {
+      name: 'rice',
+      quantity: 'one cup',
+      unit: '',
+      parsed: { quantityMin: 1, quantityMax: 1, unit: 'cup', preparation: '', scalable: true }
+    };
+    expect(scaleIngredient(ingredient, 3)).toMatchObject({ quantity: '3', unit: 'cup', scaled: true });
+  });
+});
+
+describe('scaleIngredients', () => {
+  it('scales from the recipe\'s servings to the requested servings', () => {
+    const scaled = scaleIngredients([
+      { name: 'rice', quantity: '1', unit: 'cup' },
+      { name: 'water', quantity: '2', unit: 'cups' }
+    ], 4, 2);
+
+    expect(scaled.map(ingredient => ingredient.quantity)).toEqual(['1/2', '1']);
+  });
+});
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const ApiKey = require('../../models/ApiKey');
+const apiKeyScopes = require('../../config/apiKeyScopes');
+const Food = require('../../models/Food');
+const User = require('../../models/User');
+
+const app = buildApp([
+  ['/api/auth', require('../../routes/auth')],
+  ['/api/recipes', require('../../routes/recipes')],
+  ['/api/api-keys', require('../../routes/apiKeys')]
+]);
+
+describe('API keys', () => {
+  const foodId = new mongoose.Types.ObjectId();
+  let user;
+  let session;
+
+  const createKey = async (scopes) => {
+    const res = await request(app).post('/api/api-keys').set('Authorization', `Bearer ${session.token}`)
+      .send({ name: 'Kitchen display', scopes });
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+  const favorites = (key) => request(app).get('/api/recipes/favorites').set('X-API-Key', key);
+  const addFavorite = (key) => request(app).post(`/api/recipes/${foodId}/favorite`).set('X-API-Key', key);
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    await Food.collection.insertOne({ _id: foodId, name: 'Poha', category: 'snack', status: 'published' });
+    user = await createUser();
+    session = await signIn(user);
+  });
+
+  it('only reaches routes that allow the scopes it was given', async () => {
+    const { key } = await createKey(['recipes:read']);
+
+    expect((await favorites(key)).status).toBe(200);
+
+    const missingScope = await addFavorite(key);
+    expect(missingScope.status).toBe(403);
+    expect(missingScope.body.message).toBe('API key is missing the favorites:write scope');
+  });
+
+  it('acts as its owner where the scope allows', async () => {
+    const { key } = await createKey(['favorites:write']);
+
+    expect((await addFavorite(key)).status).toBe(200);
+    expect((await User.findById(user._id)).stats.favoriteRecipes.map(String)).toEqual([foodId.toString()]);
+
+    const { lastUsedAt } = await ApiKey.findOne({ owner: user._id });
+    expect(lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it("can't be used on routes that haven't opted in to API keys", async () => {
+    const { key } = await createKey(Object.keys(apiKeyScopes));
+
+    const manageKeys = await request(app).get('/api/api-keys').set('X-API-Key', key);
+    expect(manageKeys.status).toBe(403);
+    expect(manageKeys.body.message).toBe('API keys cannot access this route');
+    expect((await request(app).get('/api/auth/sessions').set('X-API-Key', key)).status).toBe(403);
+  });
+
+  it('stops working once rotated or revoked', async () => {
+    const { key, apiKey } = await createKey(['recipes:read']);
+    const auth = { Authorization: `Bearer ${session.token}` };
+
+    const rotated = await request(app).post(`/api/api-keys/${apiKey._id}/rotate`).set(auth);
+    expect(rotated.status).toBe(200);
+    expect((await favorites(key)).status).toBe(401);
+    expect((await favorites(rotated.body.data.key)).status).toBe(200);
+
+    expect((await request(app).delete(`/api/api-keys/${apiKey._id}`).set(auth)).status).toBe(200);
+    expect((await favorites(rotated.body.data.key)).status).toBe(401);
+  });
+
+  it('rejects unknown scopes and keys from deactivated owners', async () => {
+    const res = await request(app).post('/api/api-keys').set('Authorization', `Bearer ${session.token}`)
+      .send({ name: 'Everything', scopes: ['admin'] });
+    expect(res.status).toBe(400);
+
+    const { key } = await createKey(['recipes:read']);
+    await User.updateOne({ _id: user._id }, { isActive: false });
+    expect((await favorites(key)).status).toBe(401);
+  });
+});
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const Food = require('../../models/Food');
+const Review = require('../../models/Review');
+
+const app = buildApp([['/api/foods', require('../../routes/foods')]]);
+
+describe('POST /api/foods/:id/rate', () => {
+  const foodId = new mongoose.Types.ObjectId();
+  let user;
+  let token;
+
+  const rate = (rating) => request(app).post(`/api/foods/${foodId}/rate`).set('Authorization', `Bearer ${token}`).send({ rating });
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    // The aggregate rating needs a real database - the route's own logic doesn't
+    jest.spyOn(Review, 'recalculateRating').mockResolvedValue({});
+    await Food.collection.insertOne({ _id: foodId, name: 'Dal', category: 'curry', status: 'published' });
+    user = await createUser();
+    ({ token } = await signIn(user));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes whole stars from 1 to 5, as reviews do', async () => {
+    expect((await rate(4)).status).toBe(200);
+    expect((await rate(5)).status).toBe(200);
+
+    const reviews = await Review.find({ food: foodId });
+    expect(reviews.map(review => review.rating)).toEqual([5]);
+  });
+
+  it.each([4.5, 0, 6, 'five'])('rejects a rating of %p', async (rating) => {
+    const res = await rate(rating);
+
+    expect(res.status).toBe(400);
+    expect(await Review.countDocuments()).toBe(0);
+  });
+});
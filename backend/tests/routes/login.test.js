@@ -0,0 +1,79 @@
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser } = require('../helpers/app');
+const User = require('../../models/User');
+const loginSecurity = require('../../config/loginSecurity');
+const { outbox, resetEmail } = require('../../utils/sendEmail');
+
+const app = buildApp([['/api/auth', require('../../routes/auth')]]);
+
+describe('login lockout', () => {
+  const defaults = { ...loginSecurity.account };
+  let user;
+
+  const login = (password) => request(app).post('/api/auth/login').send({ email: user.email, password });
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    resetEmail();
+    user = await createUser({ password: 'secret123' });
+  });
+  afterEach(() => Object.assign(loginSecurity.account, defaults));
+
+  it('backs off after repeated failures', async () => {
+    Object.assign(loginSecurity.account, { backoffAfter: 2, maxAttempts: 10 });
+
+    expect((await login('wrong-one')).status).toBe(401);
+    expect((await login('wrong-two')).status).toBe(401);
+
+    const res = await login('secret123');
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('1');
+  });
+
+  it('locks the account and emails an unlock link', async () => {
+    Object.assign(loginSecurity.account, { backoffAfter: 10, maxAttempts: 3, lockMinutes: 30 });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      expect((await login('wrong')).status).toBe(401);
+    }
+
+    const locked = await login('secret123');
+    expect(locked.status).toBe(423);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(29 * 60);
+
+    expect(outbox).toHaveLength(1);
+    const [unlockPath] = outbox[0].text.match(/\/api\/auth\/unlock\/[0-9a-f]{64}/);
+    expect((await request(app).get(unlockPath)).status).toBe(200);
+    expect((await request(app).get(unlockPath)).status).toBe(400);
+
+    const res = await login('secret123');
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+  });
+
+  it('counts parallel failures without losing any and locks once', async () => {
+    Object.assign(loginSecurity.account, { backoffAfter: 10, maxAttempts: 3 });
+
+    // Separate copies, as concurrent requests would each load their own
+    const copies = await Promise.all(Array.from({ length: 6 }, () => User.findById(user._id)));
+    const unlockTokens = (await Promise.all(copies.map(copy => copy.registerFailedLogin()))).filter(Boolean);
+
+    expect(unlockTokens).toHaveLength(1);
+    const stored = await User.findById(user._id).select('+loginSecurity.unlockToken');
+    expect(stored.isLocked).toBe(true);
+    expect(stored.loginSecurity.unlockToken).toBe(User.hashToken(unlockTokens[0]));
+  });
+
+  it('counts every one of several parallel failures', async () => {
+    Object.assign(loginSecurity.account, { backoffAfter: 10, maxAttempts: 5 });
+
+    const copies = await Promise.all(Array.from({ length: 4 }, () => User.findById(user._id)));
+    await Promise.all(copies.map(copy => copy.registerFailedLogin()));
+
+    const stored = await User.findById(user._id);
+    expect(stored.loginSecurity.failedAttempts).toBe(4);
+    expect(stored.isLocked).toBe(false);
+  });
+});
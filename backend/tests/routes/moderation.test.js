@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const Food = require('../../models/Food');
+const User = require('../../models/User');
+
+const app = buildApp([
+  ['/api/auth', require('../../routes/auth')],
+  ['/api/foods', require('../../routes/foods')],
+  ['/api/moderation', require('../../routes/moderation')]
+]);
+
+describe('moderation', () => {
+  const foodId = new mongoose.Types.ObjectId();
+  let author;
+  let chef;
+  let admin;
+
+  const as = (session) => ({ Authorization: `Bearer ${session.token}` });
+  const report = (session) => request(app).post(`/api/foods/${foodId}/report`).set(as(session)).send({ reason: 'spam' });
+  const act = (session, action) => request(app).post(`/api/moderation/food/${foodId}/actions`).set(as(session)).send({ action });
+  const visible = async () => (await request(app).get(`/api/foods/${foodId}`)).status === 200;
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    const authorUser = await createUser({ name: 'Asha' });
+    author = await signIn(authorUser);
+    chef = await signIn(await createUser({ role: 'chef' }));
+    admin = await signIn(await createUser({ role: 'admin', twoFactor: { enabled: true } }));
+    await Food.collection.insertOne({
+      _id: foodId,
+      name: 'Totally real biryani',
+      description: 'Click here',
+      category: 'rice',
+      cuisine: 'hyderabadi',
+      difficulty: 'medium',
+      prepTime: 20,
+      cookTime: 40,
+      servings: 4,
+      ingredients: [{ name: 'basmati rice', quantity: '2', unit: 'cup' }],
+      instructions: [{ step: 1, description: 'Layer and cook on dum' }],
+      status: 'published',
+      createdBy: authorUser._id,
+      popularity: 0,
+      moderation: { hidden: false, reportCount: 0 }
+    });
+  });
+
+  it('is staff only, and admins need two-factor authentication turned on', async () => {
+    expect((await request(app).get('/api/moderation/audit').set(as(author))).status).toBe(403);
+    expect((await request(app).get('/api/moderation/audit').set(as(chef))).status).toBe(200);
+    expect((await request(app).get('/api/moderation/audit').set(as(admin))).status).toBe(200);
+
+    const adminWithout2fa = await signIn(await createUser({ role: 'admin' }));
+    const res = await request(app).get('/api/moderation/audit').set(as(adminWithout2fa));
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Two-factor authentication must be enabled to access this route');
+  });
+
+  it('hides an item after enough reports until a moderator approves it', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await report(await signIn(await createUser()))).status).toBe(201);
+    }
+    expect(await visible()).toBe(false);
+
+    const item = await request(app).get(`/api/moderation/food/${foodId}`).set(as(chef));
+    expect(item.body.data.reports).toHaveLength(3);
+    expect(item.body.data.history.map(entry => entry.action)).toEqual(['auto-hide']);
+
+    expect((await act(chef, 'approve')).status).toBe(200);
+    expect(await visible()).toBe(true);
+  });
+
+  it("doesn't take a second report from the same user or one on their own recipe", async () => {
+    const reporter = await signIn(await createUser());
+
+    expect((await report(reporter)).status).toBe(201);
+    expect((await report(reporter)).status).toBe(409);
+    expect((await report(author)).status).toBe(400);
+  });
+
+  it('leaves banning to admins and signs the banned author out', async () => {
+    expect((await act(chef, 'ban')).status).toBe(403);
+    expect((await request(app).get('/api/auth/me').set(as(author))).status).toBe(200);
+
+    expect((await act(admin, 'ban')).status).toBe(200);
+    expect(await visible()).toBe(false);
+    expect((await User.findById(author.session.user)).isActive).toBe(false);
+    expect((await request(app).get('/api/auth/me').set(as(author))).status).toBe(401);
+  });
+});
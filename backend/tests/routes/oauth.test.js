@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp } = require('../helpers/app');
+const User = require('../../models/User');
+
+// Providers are read when config/oidc.js is first loaded
+Object.assign(process.env, {
+  OIDC_PROVIDERS: 'mock',
+  OIDC_MOCK_ISSUER: 'https://id.example.com',
+  OIDC_MOCK_CLIENT_ID: 'khaana-test'
+});
+
+const app = buildApp([['/api/auth/oauth', require('../../routes/oauth')]]);
+
+// A provider that signs whatever claims the test sets for the next code exchange
+const issuer = 'https://id.example.com';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+let nextClaims;
+
+const providerResponses = {
+  [`${issuer}/.well-known/openid-configuration`]: () => ({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`
+  }),
+  [`${issuer}/jwks`]: () => ({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key' }] }),
+  [`${issuer}/token`]: () => ({
+    id_token: jwt.sign(nextClaims, privateKey, {
+      algorithm: 'RS256',
+      keyid: 'test-key',
+      issuer,
+      audience: 'khaana-test',
+      expiresIn: '5m'
+    })
+  })
+};
+
+describe('social login', () => {
+  const authorize = async () => {
+    const res = await request(app).get('/api/auth/oauth/mock/authorize');
+    expect(res.status).toBe(200);
+    const nonce = new URL(res.body.data.authorizationUrl).searchParams.get('nonce');
+    nextClaims = { sub: 'mock-user-1', email: 'meera@example.com', email_verified: true, name: 'Meera', nonce };
+    return res.body.data;
+  };
+
+  const callback = (body) => request(app).post('/api/auth/oauth/mock/callback').send({ code: 'auth-code', ...body });
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(() => {
+    memoryDb.clear();
+    jest.spyOn(global, 'fetch').mockImplementation(async (url) => ({
+      ok: true,
+      status: 200,
+      json: async () => providerResponses[url]()
+    }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('signs in a new user with the state and binding from authorize', async () => {
+    const { state, binding } = await authorize();
+
+    const res = await callback({ state, binding });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    const user = await User.findOne({ email: 'meera@example.com' });
+    expect(user.oauthAccounts.map(account => [account.provider, account.subject])).toEqual([['mock', 'mock-user-1']]);
+  });
+
+  it('refuses a state presented without the binding of the client that started it', async () => {
+    const { state, binding } = await authorize();
+
+    const res = await callback({ state, binding: crypto.randomBytes(32).toString('hex') });
+    expect(res.status).toBe(400);
+    expect(await User.countDocuments()).toBe(0);
+
+    // The real client can still finish its login
+    expect((await callback({ state, binding })).status).toBe(200);
+  });
+
+  it('uses each state only once', async () => {
+    const { state, binding } = await authorize();
+
+    expect((await callback({ state, binding })).status).toBe(200);
+    expect((await callback({ state, binding })).status).toBe(400);
+  });
+
+  it('only knows the configured providers', async () => {
+    const providers = await request(app).get('/api/auth/oauth/providers');
+    expect(providers.body.data.providers).toEqual([{ id: 'mock', name: 'Mock' }]);
+
+    expect((await request(app).get('/api/auth/oauth/google/authorize')).status).toBe(404);
+    expect((await request(app).get('/api/auth/oauth/constructor/authorize')).status).toBe(404);
+  });
+});
+
+describe('OIDC provider config', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = env;
+    jest.restoreAllMocks();
+  });
+
+  it('reads providers once and warns about a broken one only once', () => {
+    process.env = { ...env, OIDC_PROVIDERS: 'mock,broken' };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    jest.isolateModules(() => {
+      const { getProviders, getProvider } = require('../../config/oidc');
+      getProviders();
+      getProvider('mock');
+      getProvider('broken');
+
+      expect(Object.keys(getProviders())).toEqual(['mock']);
+    });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('"broken"');
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser } = require('../helpers/app');
+const User = require('../../models/User');
+const { outbox, resetEmail } = require('../../utils/sendEmail');
+
+const app = buildApp([['/api/auth', require('../../routes/auth')]]);
+
+// The reset email goes out after the response, so give it a moment to arrive
+const waitForEmail = async () => {
+  for (let tries = 0; tries < 50 && !outbox.length; tries++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return outbox[0];
+};
+
+describe('password reset', () => {
+  let user;
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    resetEmail();
+    user = await createUser({ password: 'secret123' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('emails a single-use reset link', async () => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    expect(res.status).toBe(200);
+
+    const email = await waitForEmail();
+    expect(email.to).toEqual([{ address: user.email, name: '' }]);
+    const [, token] = email.text.match(/\/reset-password\/([0-9a-f]{64})/);
+
+    const reset = () => request(app).post(`/api/auth/reset-password/${token}`).send({ password: 'newsecret123' });
+    expect((await reset()).status).toBe(200);
+    expect((await reset()).status).toBe(400);
+
+    const login = await request(app).post('/api/auth/login').send({ email: user.email, password: 'newsecret123' });
+    expect(login.status).toBe(200);
+  });
+
+  it('answers before the reset email is written, whether or not the account exists', async () => {
+    // Hold the token save forever - the response must not wait on it
+    jest.spyOn(User.prototype, 'save').mockReturnValue(new Promise(() => {}));
+
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(known.status).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(User.prototype.save).toHaveBeenCalledTimes(1);
+    expect(outbox).toHaveLength(0);
+  });
+});
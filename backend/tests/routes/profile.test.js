@@ -0,0 +1,45 @@
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const User = require('../../models/User');
+
+const app = buildApp([['/api/auth', require('../../routes/auth')]]);
+
+describe('PUT /api/auth/profile', () => {
+  let user;
+  let token;
+
+  const update = (body) => request(app).put('/api/auth/profile').set('Authorization', `Bearer ${token}`).send(body);
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    user = await createUser({ profile: { bio: 'Home cook', allergies: ['dairy'] } });
+    ({ token } = await signIn(user));
+  });
+
+  it('applies nested fields and leaves the rest of the profile alone', async () => {
+    const res = await update({ name: 'Asha R', profile: { allergies: ['nuts', 'gluten'] }, preferences: { spiceLevel: 'hot' } });
+
+    expect(res.status).toBe(200);
+    const stored = await User.findById(user._id);
+    expect(stored.name).toBe('Asha R');
+    expect(stored.profile.allergies).toEqual(['nuts', 'gluten']);
+    expect(stored.profile.bio).toBe('Home cook');
+    expect(stored.preferences.spiceLevel).toBe('hot');
+  });
+
+  it('rejects values the validators do not allow', async () => {
+    const res = await update({ profile: { allergies: ['glue'] } });
+
+    expect(res.status).toBe(400);
+    expect((await User.findById(user._id)).profile.allergies).toEqual(['dairy']);
+  });
+
+  it('only takes fields in the nested shape it validates', async () => {
+    const res = await update({ 'profile.allergies': ['nuts'] });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).profile.allergies).toEqual(['dairy']);
+  });
+});
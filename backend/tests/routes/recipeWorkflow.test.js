@@ -0,0 +1,97 @@
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const Notification = require('../../models/Notification');
+
+const app = buildApp([['/api/foods', require('../../routes/foods')]]);
+
+const recipe = {
+  name: 'Masala Chai',
+  description: 'Spiced milk tea',
+  category: 'beverage',
+  cuisine: 'north-indian',
+  difficulty: 'easy',
+  prepTime: 5,
+  cookTime: 10,
+  servings: 2,
+  ingredients: [{ name: 'milk', quantity: '1', unit: 'cup' }, { name: 'tea leaves', quantity: '2', unit: 'tsp' }],
+  instructions: [{ step: 1, description: 'Boil everything together and strain' }]
+};
+
+describe('recipe review workflow', () => {
+  let author;
+  let chef;
+  let otherChef;
+
+  const as = (session) => (session ? { Authorization: `Bearer ${session.token}` } : {});
+  const create = async (session, body = {}) => {
+    const res = await request(app).post('/api/foods').set(as(session)).send({ ...recipe, ...body });
+    expect(res.status).toBe(201);
+    return res.body.data.food._id;
+  };
+  const move = (session, id, status, comment) =>
+    request(app).post(`/api/foods/${id}/status`).set(as(session)).send({ status, comment });
+  const view = (session, id) => request(app).get(`/api/foods/${id}`).set(as(session));
+  const listed = async () => (await request(app).get('/api/foods')).body.data.foods.map(food => food._id);
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    author = await signIn(await createUser({ name: 'Asha' }));
+    chef = await signIn(await createUser({ name: 'Chef Vikram', role: 'chef' }));
+    otherChef = await signIn(await createUser({ name: 'Chef Meena', role: 'chef' }));
+  });
+
+  it("keeps a user's new recipe out of public view until a chef publishes it", async () => {
+    const id = await create(author, { submit: true });
+
+    expect((await view(null, id)).status).toBe(404);
+    expect((await view(await signIn(await createUser()), id)).status).toBe(404);
+    expect((await view(author, id)).status).toBe(200);
+    expect(await listed()).toEqual([]);
+
+    expect((await move(author, id, 'published')).status).toBe(403);
+
+    const published = await move(chef, id, 'published');
+    expect(published.status).toBe(200);
+    expect(published.body.data.review.reviewer).toBe(chef.session.user.toString());
+    expect((await view(null, id)).status).toBe(200);
+    expect(await listed()).toEqual([id]);
+
+    const notifications = await Notification.find({ user: author.session.user });
+    expect(notifications.map(notification => notification.title)).toEqual(['Your recipe is live']);
+  });
+
+  it('only lets the assigned reviewer decide, and asks why when requesting changes', async () => {
+    const id = await create(author, { submit: true });
+    const assign = await request(app).post(`/api/foods/${id}/reviewer`).set(as(chef)).send({ reviewer: chef.session.user });
+    expect(assign.status).toBe(200);
+
+    expect((await move(otherChef, id, 'published')).status).toBe(403);
+    expect((await move(chef, id, 'changes-requested')).status).toBe(400);
+
+    const changes = await move(chef, id, 'changes-requested', 'Add how much sugar to use');
+    expect(changes.status).toBe(200);
+
+    const workflow = await request(app).get(`/api/foods/${id}/workflow`).set(as(author));
+    expect(workflow.body.data.review.comments.map(comment => comment.body)).toEqual(['Add how much sugar to use']);
+    expect(workflow.body.data.nextStatuses.sort()).toEqual(['archived', 'draft', 'submitted']);
+  });
+
+  it('lets chefs publish their own drafts but not users', async () => {
+    const chefRecipe = await create(chef);
+    const userRecipe = await create(author);
+
+    expect((await move(chef, chefRecipe, 'published')).status).toBe(200);
+    expect((await move(author, userRecipe, 'published')).status).toBe(403);
+    expect((await move(author, userRecipe, 'submitted')).status).toBe(200);
+  });
+
+  it("hides other people's drafts from the workflow routes", async () => {
+    const id = await create(author);
+
+    expect((await move(await signIn(await createUser()), id, 'submitted')).status).toBe(404);
+    expect((await request(app).post(`/api/foods/${id}/comments`).set(as(await signIn(await createUser())))
+      .send({ body: 'Looks tasty' })).status).toBe(404);
+  });
+});
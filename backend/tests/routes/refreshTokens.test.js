@@ -0,0 +1,61 @@
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const RefreshToken = require('../../models/RefreshToken');
+const Session = require('../../models/Session');
+
+const app = buildApp([['/api/auth', require('../../routes/auth')]]);
+
+describe('POST /api/auth/refresh', () => {
+  let user;
+  let tokens;
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+  const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    user = await createUser();
+    tokens = await signIn(user);
+  });
+
+  it('rotates the refresh token within the same session', async () => {
+    const res = await refresh(tokens.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(tokens.refreshToken);
+    expect((await me(res.body.data.token)).status).toBe(200);
+
+    const family = await RefreshToken.find({ family: tokens.session._id.toString() });
+    expect(family.map(token => token.revokedReason)).toEqual(['rotated', undefined]);
+
+    // The new token rotates in turn
+    expect((await refresh(res.body.data.refreshToken)).status).toBe(200);
+  });
+
+  it('ends the session when a rotated token is presented again', async () => {
+    const rotated = await refresh(tokens.refreshToken);
+
+    const reused = await refresh(tokens.refreshToken);
+    expect(reused.status).toBe(401);
+
+    const session = await Session.findById(tokens.session._id);
+    expect(session.revokedReason).toBe('reuse-detected');
+    expect((await refresh(rotated.body.data.refreshToken)).status).toBe(401);
+    expect((await me(rotated.body.data.token)).status).toBe(401);
+  });
+
+  it('lets only one of two simultaneous refreshes through', async () => {
+    const results = await Promise.all([refresh(tokens.refreshToken), refresh(tokens.refreshToken)]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  it('refuses unknown and revoked tokens', async () => {
+    expect((await refresh(RefreshToken.generateToken())).status).toBe(401);
+
+    await Session.revoke(tokens.session._id, 'logout');
+    expect((await refresh(tokens.refreshToken)).status).toBe(401);
+  });
+});
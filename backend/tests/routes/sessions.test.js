@@ -0,0 +1,78 @@
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const RefreshToken = require('../../models/RefreshToken');
+
+const app = buildApp([['/api/auth', require('../../routes/auth')]]);
+
+describe('sessions', () => {
+  let user;
+  let laptop;
+  let phone;
+
+  const as = ({ token }) => ({ Authorization: `Bearer ${token}` });
+  const me = (session) => request(app).get('/api/auth/me').set(as(session));
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    user = await createUser({ password: 'secret123' });
+    laptop = await signIn(user);
+    phone = await signIn(user);
+  });
+
+  it('lists active sessions and marks the current one', async () => {
+    const res = await request(app).get('/api/auth/sessions').set(as(laptop));
+
+    expect(res.status).toBe(200);
+    const current = res.body.data.sessions.filter(session => session.isCurrent);
+    expect(res.body.data.sessions).toHaveLength(2);
+    expect(current.map(session => session._id)).toEqual([laptop.session._id.toString()]);
+  });
+
+  it('signs out another session and its refresh tokens', async () => {
+    const res = await request(app).delete(`/api/auth/sessions/${phone.session._id}`).set(as(laptop));
+
+    expect(res.status).toBe(200);
+    expect((await me(phone)).status).toBe(401);
+    expect((await me(laptop)).status).toBe(200);
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken: phone.refreshToken })).status).toBe(401);
+  });
+
+  it("can't sign out another user's session", async () => {
+    const other = await signIn(await createUser());
+
+    const res = await request(app).delete(`/api/auth/sessions/${other.session._id}`).set(as(laptop));
+
+    expect(res.status).toBe(404);
+    expect((await me(other)).status).toBe(200);
+  });
+
+  it('signs out everywhere else', async () => {
+    const res = await request(app).delete('/api/auth/sessions').set(as(laptop));
+
+    expect(res.body.data.revokedCount).toBe(1);
+    expect((await me(phone)).status).toBe(401);
+    expect((await me(laptop)).status).toBe(200);
+  });
+
+  it('logs out only the current session', async () => {
+    expect((await request(app).post('/api/auth/logout').set(as(laptop))).status).toBe(200);
+
+    expect((await me(laptop)).status).toBe(401);
+    expect((await me(phone)).status).toBe(200);
+  });
+
+  it('ends every session on a password change and starts a new one', async () => {
+    const res = await request(app).put('/api/auth/change-password').set(as(laptop))
+      .send({ currentPassword: 'secret123', newPassword: 'newsecret123' });
+
+    expect(res.status).toBe(200);
+    expect((await me(laptop)).status).toBe(401);
+    expect((await me(phone)).status).toBe(401);
+    expect((await me(res.body.data)).status).toBe(200);
+
+    const revoked = await RefreshToken.find({ revokedReason: 'password-changed' });
+    expect(revoked).toHaveLength(2);
+  });
+});
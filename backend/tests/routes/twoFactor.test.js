@@ -0,0 +1,100 @@
+const request = require('supertest');
+const memoryDb = require('../helpers/memoryDb');
+const { buildApp, createUser, signIn } = require('../helpers/app');
+const User = require('../../models/User');
+const loginSecurity = require('../../config/loginSecurity');
+const totp = require('../../utils/totp');
+
+const app = buildApp([
+  ['/api/auth/2fa', require('../../routes/twoFactor')],
+  ['/api/auth', require('../../routes/auth')]
+]);
+
+// Codes for the step after the current one - still accepted, and not a replay of the last one used
+const nextCode = (secret) => totp.generateCode(secret, Math.floor(Date.now() / 30000) + 1);
+
+describe('two-factor authentication', () => {
+  const defaults = { ...loginSecurity.account };
+  let user;
+  let session;
+
+  const as = ({ token }) => ({ Authorization: `Bearer ${token}` });
+  const login = () => request(app).post('/api/auth/login').send({ email: user.email, password: 'secret123' });
+  const loginWithCode = async (code) => {
+    const { challengeToken } = (await login()).body.data;
+    return request(app).post('/api/auth/login/2fa').send({ challengeToken, code });
+  };
+
+  // Enroll the user through the API - returns the secret and recovery codes
+  const enroll = async () => {
+    const { secret } = (await request(app).post('/api/auth/2fa/setup').set(as(session))).body.data;
+    const res = await request(app).post('/api/auth/2fa/enable').set(as(session)).send({ code: totp.generateCode(secret) });
+    expect(res.status).toBe(200);
+    return { secret, recoveryCodes: res.body.data.recoveryCodes };
+  };
+
+  beforeAll(() => memoryDb.connect());
+  beforeEach(async () => {
+    memoryDb.clear();
+    user = await createUser({ password: 'secret123' });
+    session = await signIn(user);
+  });
+  afterEach(() => Object.assign(loginSecurity.account, defaults));
+
+  it('asks for a code at login once enabled, and signs out other sessions', async () => {
+    const phone = await signIn(user);
+    const { secret, recoveryCodes } = await enroll();
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect((await request(app).get('/api/auth/me').set(as(phone))).status).toBe(401);
+    expect((await request(app).get('/api/auth/me').set(as(session))).status).toBe(200);
+
+    const challenge = await login();
+    expect(challenge.body.data.twoFactorRequired).toBe(true);
+    expect(challenge.body.data.token).toBeUndefined();
+
+    const code = nextCode(secret);
+    const res = await loginWithCode(code);
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+
+    // The same code can't be used twice
+    expect((await loginWithCode(code)).status).toBe(401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enroll();
+
+    expect((await loginWithCode(recoveryCodes[0])).status).toBe(200);
+    expect((await loginWithCode(recoveryCodes[0])).status).toBe(401);
+
+    const status = await request(app).get('/api/auth/2fa').set(as(session));
+    expect(status.body.data.recoveryCodesRemaining).toBe(9);
+  });
+
+  it('counts wrong codes as failed logins when disabling', async () => {
+    Object.assign(loginSecurity.account, { backoffAfter: 2, maxAttempts: 10 });
+    const { secret } = await enroll();
+    const disable = (code) => request(app).post('/api/auth/2fa/disable').set(as(session)).send({ code });
+
+    expect((await disable('000000')).status).toBe(400);
+    expect((await disable('111111')).status).toBe(400);
+
+    const blocked = await disable(nextCode(secret));
+    expect(blocked.status).toBe(429);
+    expect(blocked.headers['retry-after']).toBeDefined();
+
+    await (await User.findById(user._id)).resetFailedLogins();
+    expect((await disable(nextCode(secret))).status).toBe(200);
+    expect((await login()).body.data.token).toBeDefined();
+  });
+
+  it('is required for admins', async () => {
+    user = await createUser({ password: 'secret123', role: 'admin' });
+    session = await signIn(user);
+    const { secret } = await enroll();
+
+    const res = await request(app).post('/api/auth/2fa/disable').set(as(session)).send({ code: nextCode(secret) });
+    expect(res.status).toBe(403);
+  });
+});
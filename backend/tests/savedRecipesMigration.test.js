@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Collection = require('../models/Collection');
+const { up } = require('../scripts/migrations/006-saved-recipes-collection');
+
+describe('migration 006: saved recipes into collections', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const saved = Array.from({ length: Collection.maxItems + 20 }, () => new mongoose.Types.ObjectId());
+  let created;
+  let unset;
+
+  beforeEach(() => {
+    created = new Map();
+    unset = [];
+
+    jest.spyOn(User.collection, 'find').mockImplementation(() => (async function* () {
+      if (!unset.length) yield { _id: userId, stats: { savedRecipes: [...saved, saved[0]] } };
+    })());
+    jest.spyOn(User.collection, 'updateOne').mockImplementation(async (filter) => unset.push(filter._id));
+    jest.spyOn(User.collection, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Collection, 'exists').mockImplementation(async ({ _id }) => created.has(_id.toString()));
+    jest.spyOn(Collection, 'create').mockImplementation(async (data) => {
+      created.set(data._id.toString(), data);
+      return data;
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('moves every saved recipe, overflowing into a second collection', async () => {
+    expect(await up()).toBe(`${saved.length} saved recipes moved into collections for 1 users`);
+
+    const collections = [...created.values()];
+    expect(collections.map(collection => [collection.name, collection.items.length])).toEqual([
+      ['Saved recipes', Collection.maxItems],
+      ['Saved recipes (2)', 20]
+    ]);
+    expect(collections.flatMap(collection => collection.items.map(item => item.food))).toEqual(saved.map(String));
+    expect(unset).toEqual([userId]);
+  });
+
+  it('picks up where a failed run stopped without duplicating collections', async () => {
+    Collection.create.mockImplementationOnce(async (data) => {
+      created.set(data._id.toString(), data);
+      return data;
+    }).mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(up()).rejects.toThrow('connection lost');
+    expect(created.size).toBe(1);
+    expect(unset).toEqual([]);
+
+    await up();
+    expect(created.size).toBe(2);
+    expect(Collection.create).toHaveBeenCalledTimes(3);
+    expect(unset).toEqual([userId]);
+  });
+
+  it('still migrates users who made their own "Saved recipes" collection', async () => {
+    const ownId = new mongoose.Types.ObjectId();
+    created.set(ownId.toString(), { _id: ownId, owner: userId, name: 'Saved recipes', items: [] });
+
+    await up();
+    expect(created.size).toBe(3);
+    expect(created.get(ownId.toString()).items).toEqual([]);
+    expect(unset).toEqual([userId]);
+  });
+});
@@ -0,0 +1,55 @@
+const { sendEmail, outbox, resetEmail } = require('../utils/sendEmail');
+
+describe('sendEmail', () => {
+  beforeEach(() => resetEmail());
+
+  it('captures messages in the outbox under test', async () => {
+    await sendEmail({ email: 'cook@example.com', subject: 'Hello', text: 'Namaste' });
+
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0]).toMatchObject({ subject: 'Hello', text: 'Namaste' });
+    expect(outbox[0].to).toEqual([{ address: 'cook@example.com', name: '' }]);
+  });
+
+  it('renders named templates', async () => {
+    await sendEmail({
+      email: 'cook@example.com',
+      template: 'passwordReset',
+      data: { name: 'Asha', url: 'https://khaana.example/reset/abc', expiresInMinutes: 30 }
+    });
+
+    expect(outbox[0].subject).toBe('Reset your Khaana AI password');
+    expect(outbox[0].text).toContain('https://khaana.example/reset/abc');
+    expect(outbox[0].html).toContain('href="https://khaana.example/reset/abc"');
+  });
+
+  it('escapes user values in the html part only', async () => {
+    await sendEmail({
+      email: 'cook@example.com',
+      template: 'pantryExpiring',
+      data: {
+        name: '<script>alert(1)</script>',
+        items: [{ name: 'Dahi & "malai"', expiresAt: new Date('2026-03-01') }],
+        url: 'https://khaana.example/pantry?a=1&b=2'
+      }
+    });
+
+    const [message] = outbox;
+    expect(message.html).not.toContain('<script>');
+    expect(message.html).toContain('Hi &lt;script&gt;alert(1)&lt;/script&gt;,');
+    expect(message.html).toContain('Dahi &amp; &quot;malai&quot;');
+    expect(message.html).toContain('href="https://khaana.example/pantry?a=1&amp;b=2"');
+    expect(message.text).toContain('Hi <script>alert(1)</script>,');
+  });
+
+  it('rejects unknown templates', async () => {
+    await expect(sendEmail({ email: 'cook@example.com', template: 'nope' })).rejects.toThrow('Unknown email template: nope');
+    expect(outbox).toHaveLength(0);
+  });
+
+  it('clears the outbox on reset', async () => {
+    await sendEmail({ email: 'cook@example.com', subject: 'Hello', text: 'Namaste' });
+    resetEmail();
+    expect(outbox).toHaveLength(0);
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Ingredient = require('../models/Ingredient');
+const ShoppingList = require('../models/ShoppingList');
+const { buildShoppingItems, toText, toCsv } = require('../utils/shoppingList');
+
+const food = (name, servings, ingredients) => ({ _id: new mongoose.Types.ObjectId(), name, servings, ingredients });
+
+describe('buildShoppingItems', () => {
+  beforeEach(() => {
+    jest.spyOn(Ingredient, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('adds up the same ingredient across recipes and units', async () => {
+    const dal = food('Dal', 2, [{ name: 'onion', quantity: '1', unit: '' }, { name: 'ghee', quantity: '1', unit: 'tbsp' }]);
+    const pulao = food('Pulao', 4, [{ name: 'onions', quantity: '2', unit: '' }, { name: 'ghee', quantity: '1/4', unit: 'cup' }]);
+
+    const items = await buildShoppingItems([{ food: dal, servings: 4 }, { food: pulao }]);
+
+    expect(items.map(({ name, amount }) => [name, amount])).toEqual([
+      ['ghee', '90 ml'],
+      ['onion', '4']
+    ]);
+    expect(items[1].recipes).toEqual([dal._id, pulao._id]);
+  });
+
+  it('drops "to taste" when another recipe needs a measured amount', async () => {
+    const items = await buildShoppingItems([
+      { food: food('Dal', 2, [{ name: 'salt', quantity: 'to taste', unit: '' }]) },
+      { food: food('Roti', 2, [{ name: 'salt', quantity: '1', unit: 'tsp' }]) }
+    ]);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ name: 'salt', amount: '1 tsp' });
+    expect(items[0].recipes).toHaveLength(2);
+  });
+});
+
+describe('exports', () => {
+  const list = new ShoppingList({
+    user: new mongoose.Types.ObjectId(),
+    name: 'Sunday',
+    recipes: [{ food: new mongoose.Types.ObjectId(), name: 'Dal', servings: 4 }],
+    items: [
+      { name: 'salt', aisle: 'spices', amount: 'to taste', checked: true },
+      { name: 'onion, red', aisle: 'produce', quantity: 2, unit: 'piece', amount: '2' },
+      { name: '=HYPERLINK("http://evil.example")', aisle: 'other', amount: '1' },
+      { name: '@SUM(A1)', aisle: 'other', amount: '+1' },
+      { name: 'line\rbreak', aisle: 'other', amount: '-2' }
+    ]
+  });
+
+  it('writes text grouped by aisle', () => {
+    const text = toText(list);
+
+    expect(text.startsWith('Sunday\nFor: Dal (4 servings)\n')).toBe(true);
+    expect(text.indexOf('PRODUCE')).toBeLessThan(text.indexOf('SPICES'));
+    expect(text).toContain('[x] salt - to taste');
+  });
+
+  it('writes CSV with quoted fields', () => {
+    const rows = toCsv(list).split('\n');
+
+    expect(rows[0]).toBe('aisle,item,quantity,unit,amount,already_have,checked');
+    expect(rows[1]).toBe('produce,"onion, red",2,piece,2,false,false');
+  });
+
+  it('keeps spreadsheet formulas in CSV as text', () => {
+    const csv = toCsv(list);
+
+    expect(csv).toContain('other,"\'=HYPERLINK(""http://evil.example"")",,,1,false,false');
+    expect(csv).toContain("other,'@SUM(A1),,,'+1,false,false");
+    expect(csv).toContain('other,"line\rbreak",,,\'-2,false,false');
+  });
+});
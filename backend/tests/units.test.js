@@ -0,0 +1,51 @@
+const { normalizeUnit, convert, toSystem } = require('../utils/units');
+
+describe('normalizeUnit', () => {
+  it('maps spellings and aliases to the canonical unit', () => {
+    expect(normalizeUnit('Tablespoons')).toBe('tbsp');
+    expect(normalizeUnit('grams')).toBe('g');
+    expect(normalizeUnit('chhota chammach')).toBe('tsp');
+    expect(normalizeUnit(' tsp. ')).toBe('tsp');
+  });
+
+  it('tells T and t apart by case', () => {
+    expect(normalizeUnit('T')).toBe('tbsp');
+    expect(normalizeUnit('t')).toBe('tsp');
+  });
+
+  it('returns null for anything it does not know', () => {
+    expect(normalizeUnit('handful')).toBeNull();
+    expect(normalizeUnit('')).toBeNull();
+    expect(normalizeUnit(undefined)).toBeNull();
+  });
+});
+
+describe('convert', () => {
+  it('converts between units of the same kind', () => {
+    expect(convert(1, 'kg', 'g')).toBe(1000);
+    expect(convert(3, 'tsp', 'tbsp')).toBeCloseTo(1, 2);
+    expect(convert(2, 'cup', 'cup')).toBe(2);
+  });
+
+  it('refuses to convert between volume and mass', () => {
+    expect(convert(1, 'cup', 'g')).toBeNull();
+    expect(convert(1, 'handful', 'g')).toBeNull();
+  });
+});
+
+describe('toSystem', () => {
+  it('picks the natural unit for the amount', () => {
+    const result = toSystem(3, 'tsp', 'metric');
+    expect(result.unit).toBe('tbsp');
+    expect(result.amount).toBeCloseTo(1, 2);
+
+    expect(toSystem(1500, 'g', 'metric')).toEqual({ amount: 1.5, unit: 'kg' });
+    expect(toSystem(500, 'g', 'us').unit).toBe('lb');
+    expect(toSystem(2, 'cup', 'desi').unit).toBe('glass');
+  });
+
+  it('leaves unknown units and systems alone', () => {
+    expect(toSystem(2, 'clove', 'metric')).toEqual({ amount: 2, unit: 'clove' });
+    expect(toSystem(2, 'cup', 'imperial')).toEqual({ amount: 2, unit: 'cup' });
+  });
+});
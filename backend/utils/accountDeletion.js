@@ -0,0 +1,70 @@
+const User = require('../models/User');
+const Food = require('../models/Food');
+const FoodRevision = require('../models/FoodRevision');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const Waitlist = require('../models/Waitlist');
+const Review = require('../models/Review');
+const Report = require('../models/Report');
+const PantryItem = require('../models/PantryItem');
+const Notification = require('../models/Notification');
+const ShoppingList = require('../models/ShoppingList');
+const MealPlan = require('../models/MealPlan');
+const ScheduledCook = require('../models/ScheduledCook');
+const Collection = require('../models/Collection');
+const { removeExports } = require('./dataExport');
+const { removeImages } = require('./images');
+
+// Permanently remove a user and everything tied to them.
+// Recipes they authored, published or not, are anonymised rather than
+// deleted: they keep their photos and revision history but lose their author.
+// Their avatar goes.
+const purgeUser = async (user) => {
+  await Food.updateMany({ createdBy: user._id }, { $unset: { createdBy: 1 } });
+  await Food.updateMany({ 'review.reviewer': user._id }, { $unset: { 'review.reviewer': 1, 'review.assignedAt': 1 } });
+  await Food.updateMany(
+    { 'review.comments.author': user._id },
+    { $unset: { 'review.comments.$[comment].author': 1 } },
+    { arrayFilters: [{ 'comment.author': user._id }] }
+  );
+  await FoodRevision.updateMany({ editor: user._id }, { $unset: { editor: 1 } });
+  await removeImages([user.profile && user.profile.avatarImage]);
+  await Waitlist.deleteMany({ email: user.email });
+
+  // Remove their reviews and recompute the ratings they contributed to
+  const reviewedFoods = await Review.distinct('food', { user: user._id });
+  await Review.deleteMany({ user: user._id });
+  await Promise.all(reviewedFoods.map(foodId => Review.recalculateRating(foodId)));
+
+  // Drop reports they filed; reports about them stay for the moderation record
+  await Report.deleteMany({ reporter: user._id });
+
+  await PantryItem.deleteMany({ user: user._id });
+  await Notification.deleteMany({ user: user._id });
+  await ShoppingList.deleteMany({ user: user._id });
+  await MealPlan.deleteMany({ user: user._id });
+  await ScheduledCook.deleteMany({ user: user._id });
+  await Collection.deleteMany({ owner: user._id });
+  await Session.deleteMany({ user: user._id });
+  await RefreshToken.deleteMany({ user: user._id });
+  await ApiKey.deleteMany({ owner: user._id });
+  await removeExports({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+};
+
+// Purge every account whose deletion grace period has ended
+const purgeDueAccounts = async () => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+
+  for (const user of users) {
+    await purgeUser(user);
+  }
+
+  return users.length;
+};
+
+module.exports = {
+  purgeUser,
+  purgeDueAccounts
+};
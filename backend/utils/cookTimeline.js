@@ -0,0 +1,59 @@
+const MINUTE_MS = 60 * 1000;
+
+// Steps that have to start well before the rest of the cooking
+const advanceActions = [
+  { action: 'soak', pattern: /\bsoak/i },
+  { action: 'marinate', pattern: /\bmarinat/i },
+  { action: 'ferment', pattern: /\bferment/i },
+  { action: 'sprout', pattern: /\bsprout/i },
+  { action: 'rest', pattern: /\b(rest|chill|refrigerate|set)\b.*\b(overnight|hours?|hrs?)\b/i }
+];
+
+const wordNumbers = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, eight: 8, ten: 10, twelve: 12, few: 3, couple: 2 };
+
+// Only steps this long are treated as advance prep; shorter waits fit in prepTime
+const MIN_ADVANCE_MINUTES = 60;
+
+// How long a step asks you to wait, in minutes ("overnight", "4-6 hours", "30 mins")
+const stepDuration = (text) => {
+  if (/\bovernight\b/i.test(text)) return 8 * 60;
+
+  const match = text.match(/(\d+(?:\.\d+)?|an?|one|two|three|four|five|six|eight|ten|twelve|few|couple)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(?:of\s+)?(hours?|hrs?|minutes?|mins?)\b/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[2] || match[1]) || wordNumbers[match[1].toLowerCase()];
+  return /^h/i.test(match[3]) ? amount * 60 : amount;
+};
+
+// Find instructions that need starting ahead of time (soaking, marinating...)
+const findAdvancePrep = (food) => {
+  return (food.instructions || []).reduce((steps, instruction) => {
+    const text = `${instruction.description} ${instruction.tips || ''}`;
+    const advance = advanceActions.find(({ pattern }) => pattern.test(text));
+    const minutes = advance && stepDuration(text);
+
+    if (minutes && minutes >= MIN_ADVANCE_MINUTES) {
+      steps.push({ action: advance.action, minutes, step: instruction.step, description: instruction.description });
+    }
+    return steps;
+  }, []);
+};
+
+// Work a cook backwards from the time it should be served:
+// advance prep -> start cooking (prepTime + cookTime) -> serve
+const buildCookTimeline = (food, serveAt) => {
+  const startAt = new Date(serveAt.getTime() - (food.prepTime + food.cookTime) * MINUTE_MS);
+
+  const advancePrep = findAdvancePrep(food).map(prep => ({
+    ...prep,
+    startAt: new Date(startAt.getTime() - prep.minutes * MINUTE_MS)
+  }));
+
+  return { startAt, serveAt, advancePrep };
+};
+
+module.exports = {
+  stepDuration,
+  findAdvancePrep,
+  buildCookTimeline
+};
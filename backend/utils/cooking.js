@@ -0,0 +1,20 @@
+// Record that a user cooked a recipe - feeds their streak and cook count.
+// Shared by "mark as cooked" and completing a scheduled cook.
+const recordCook = async (user, recipe) => {
+  await user.incrementCookingStreak();
+
+  return {
+    recipe: {
+      _id: recipe._id,
+      name: recipe.name
+    },
+    userStats: {
+      recipesCooked: user.stats.recipesCooked,
+      cookingStreak: user.stats.cookingStreak
+    }
+  };
+};
+
+module.exports = {
+  recordCook
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Food = require('../models/Food');
+const FoodRevision = require('../models/FoodRevision');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Waitlist = require('../models/Waitlist');
+const Review = require('../models/Review');
+const PantryItem = require('../models/PantryItem');
+const ShoppingList = require('../models/ShoppingList');
+const MealPlan = require('../models/MealPlan');
+const ScheduledCook = require('../models/ScheduledCook');
+const Collection = require('../models/Collection');
+const DataExport = require('../models/DataExport');
+const { createZip } = require('./zip');
+
+const getExportDir = () => process.env.EXPORT_DIR || path.join(__dirname, '..', 'tmp', 'exports');
+
+// Gather everything we hold about a user, grouped by section
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('stats.favoriteRecipes', 'name');
+
+  const [reviews, createdFoods, foodRevisions, pantry, shoppingLists, mealPlans, scheduledCooks, collections, sessions, apiKeys, waitlistEntries] = await Promise.all([
+    Review.find({ user: userId }).populate('food', 'name').select('-__v').lean(),
+    Food.find({ createdBy: userId }).select('-__v').lean(),
+    FoodRevision.find({ editor: userId }).select('food revision action changedFields restoredFrom createdAt').populate('food', 'name').lean(),
+    PantryItem.find({ user: userId }).select('name quantity unit purchasedAt expiresAt notes createdAt').lean(),
+    ShoppingList.find({ user: userId }).select('-__v -user').lean(),
+    MealPlan.find({ user: userId }).select('-__v -user').populate('entries.food', 'name').lean(),
+    ScheduledCook.find({ user: userId }).select('-__v -user').populate('food', 'name').lean(),
+    Collection.find({ owner: userId }).select('-__v -owner').populate('items.food', 'name').lean(),
+    Session.find({ user: userId }).select('device userAgent ipAddress lastSeenAt createdAt revokedAt').lean(),
+    ApiKey.find({ owner: userId }).select('name prefix scopes lastUsedAt createdAt revokedAt').lean(),
+    Waitlist.find({ email: user.email }).select('-__v').lean()
+  ]);
+
+  const recipeSummary = recipe => ({ _id: recipe._id, name: recipe.name });
+
+  return {
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      profile: user.profile,
+      preferences: user.preferences,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
+      linkedAccounts: user.oauthAccounts.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt
+    },
+    favorites: {
+      favoriteRecipes: user.stats.favoriteRecipes.map(recipeSummary)
+    },
+    cookHistory: {
+      recipesCooked: user.stats.recipesCooked,
+      cookingStreak: user.stats.cookingStreak,
+      lastCooked: user.stats.lastCooked
+    },
+    ratings: reviews,
+    createdFoods,
+    foodRevisions,
+    pantry,
+    shoppingLists,
+    mealPlans,
+    scheduledCooks,
+    collections,
+    sessions,
+    apiKeys,
+    waitlist: waitlistEntries
+  };
+};
+
+// Build the archive for a data export request and store it on disk
+const runExport = async (exportId) => {
+  const dataExport = await DataExport.findByIdAndUpdate(exportId, { status: 'processing' }, { new: true });
+  if (!dataExport) return;
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    const exportedAt = new Date();
+
+    let content;
+    if (dataExport.format === 'json') {
+      content = Buffer.from(JSON.stringify({ exportedAt, ...data }, null, 2));
+    } else {
+      const files = Object.entries(data).map(([section, value]) => ({
+        name: `${section}.json`,
+        content: JSON.stringify(value, null, 2)
+      }));
+      files.unshift({
+        name: 'README.txt',
+        content: `Khaana AI data export\nExported at: ${exportedAt.toISOString()}\n\nEach JSON file holds one section of your account data.\n`
+      });
+      content = createZip(files, exportedAt);
+    }
+
+    const dir = getExportDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, `${dataExport._id}.${dataExport.format}`);
+    await fs.promises.writeFile(filePath, content);
+
+    dataExport.status = 'completed';
+    dataExport.filePath = filePath;
+    dataExport.fileSize = content.length;
+    dataExport.completedAt = exportedAt;
+  } catch (error) {
+    console.error('❌ Data export failed:', error.message);
+    dataExport.status = 'failed';
+    dataExport.error = 'Export failed, please try again';
+  }
+
+  return dataExport.save();
+};
+
+// Run an export in the background without holding up the request
+const queueExport = (exportId) => {
+  setImmediate(() => {
+    runExport(exportId).catch(error => console.error('❌ Data export failed:', error.message));
+  });
+};
+
+// Mark exports that have been pending or processing for too long (the server
+// restarted mid-export, say) as failed, so the user can ask for a new one
+const failStaleExports = async (filter = {}) => {
+  const timeoutMinutes = parseInt(process.env.DATA_EXPORT_TIMEOUT_MINUTES) || 30;
+  const result = await DataExport.updateMany({
+    ...filter,
+    status: { $in: ['pending', 'processing'] },
+    updatedAt: { $lte: new Date(Date.now() - timeoutMinutes * 60 * 1000) }
+  }, {
+    status: 'failed',
+    error: 'Export timed out, please try again'
+  });
+  return result.modifiedCount;
+};
+
+// Delete export archives (and their records) - for a user, or all expired ones
+const removeExports = async (filter) => {
+  const dataExports = await DataExport.find(filter).select('+filePath');
+
+  await Promise.all(dataExports
+    .filter(dataExport => dataExport.filePath)
+    .map(dataExport => fs.promises.rm(dataExport.filePath, { force: true })));
+
+  await DataExport.deleteMany({ _id: { $in: dataExports.map(dataExport => dataExport._id) } });
+  return dataExports.length;
+};
+
+module.exports = {
+  collectUserData,
+  runExport,
+  queueExport,
+  failStaleExports,
+  removeExports
+};
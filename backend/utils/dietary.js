@@ -0,0 +1,159 @@
+const { query } = require('express-validator');
+
+// Allergens tracked on ingredients, recipes and user allergy lists
+const allergenTypes = ['nuts', 'dairy', 'gluten', 'shellfish', 'pork', 'alcohol'];
+
+// Diets a recipe can comply with - the same values as User.profile.dietaryPreferences
+const dietTypes = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'keto', 'paleo', 'halal'];
+
+// What each diet rules out. Traits are the allergens plus a few kinds of food.
+// Halal here only means no pork or alcohol - where the meat comes from isn't known.
+const dietRules = {
+  vegetarian: ['meat', 'fish', 'shellfish', 'pork', 'egg'],
+  vegan: ['meat', 'fish', 'shellfish', 'pork', 'egg', 'dairy', 'honey'],
+  'gluten-free': ['gluten'],
+  'dairy-free': ['dairy'],
+  keto: ['grain', 'legume', 'sugar', 'honey', 'starch'],
+  paleo: ['grain', 'legume', 'dairy', 'sugar'],
+  halal: ['pork', 'alcohol']
+};
+
+const categoryTraits = {
+  meat: ['meat'],
+  poultry: ['meat'],
+  seafood: ['fish'],
+  egg: ['egg'],
+  grain: ['grain'],
+  flour: ['grain'],
+  legume: ['legume'],
+  sweetener: ['sugar'],
+  dairy: ['dairy']
+};
+
+// Names that give a trait away, in English and common desi spellings
+const traitKeywords = {
+  nuts: ['nut', 'cashew', 'kaju', 'almond', 'badam', 'pistachio', 'pista', 'walnut', 'akhrot', 'peanut', 'groundnut', 'moongphali', 'mungfali', 'hazelnut', 'pecan', 'chironji', 'charoli', 'praline', 'marzipan'],
+  dairy: ['milk', 'doodh', 'paneer', 'cheese', 'butter', 'makhan', 'makkhan', 'ghee', 'cream', 'malai', 'yogurt', 'yoghurt', 'curd', 'dahi', 'khoya', 'khoa', 'mawa', 'buttermilk', 'chaas', 'lassi', 'whey', 'rabri', 'chhena'],
+  gluten: ['wheat', 'atta', 'maida', 'all-purpose flour', 'plain flour', 'refined flour', 'semolina', 'suji', 'sooji', 'rava', 'barley', 'jau', 'rye', 'bread', 'breadcrumb', 'pav', 'naan', 'roti', 'vermicelli', 'seviyan', 'pasta', 'noodle', 'soy sauce', 'asafoetida', 'hing', 'dalia'],
+  shellfish: ['prawn', 'shrimp', 'jhinga', 'crab', 'lobster', 'mussel', 'clam', 'oyster', 'squid', 'calamari', 'scallop'],
+  pork: ['pork', 'bacon', 'ham', 'sausage', 'lard', 'salami', 'pepperoni', 'chorizo', 'prosciutto'],
+  alcohol: ['rum', 'wine', 'beer', 'brandy', 'whisky', 'whiskey', 'vodka', 'gin', 'liqueur', 'sake', 'mirin', 'sherry', 'feni', 'toddy'],
+  meat: ['meat', 'chicken', 'murgh', 'mutton', 'lamb', 'goat', 'gosht', 'keema', 'beef', 'veal', 'gelatin', 'gelatine', 'bone broth', 'chicken stock'],
+  fish: ['fish', 'machli', 'machhi', 'salmon', 'tuna', 'pomfret', 'surmai', 'rohu', 'hilsa', 'bangda', 'mackerel', 'sardine', 'anchovy'],
+  egg: ['egg', 'anda', 'ande', 'mayonnaise'],
+  honey: ['honey', 'shahad'],
+  grain: ['rice', 'chawal', 'wheat', 'atta', 'maida', 'flour', 'semolina', 'suji', 'sooji', 'rava', 'poha', 'oats', 'corn', 'makki', 'bajra', 'jowar', 'ragi', 'bread', 'roti', 'pasta', 'noodle', 'vermicelli', 'dalia'],
+  legume: ['dal', 'daal', 'lentil', 'chana', 'chickpea', 'chole', 'rajma', 'bean', 'moong', 'masoor', 'urad', 'toor', 'arhar', 'besan', 'peanut', 'soy', 'soya', 'tofu', 'peas', 'matar'],
+  sugar: ['sugar', 'cheeni', 'jaggery', 'gur', 'syrup', 'condensed milk', 'khand', 'mishri'],
+  starch: ['potato', 'aloo', 'sweet potato', 'shakarkandi', 'corn', 'makki', 'banana', 'plantain', 'sago', 'sabudana', 'arbi', 'yam', 'jimikand']
+};
+
+// Look-alikes that would otherwise trip a keyword ("coconut milk" isn't dairy)
+const traitExceptions = {
+  dairy: ['coconut milk', 'coconut cream', 'almond milk', 'soy milk', 'soya milk', 'oat milk', 'cashew milk', 'peanut butter', 'cocoa butter', 'vegan butter', 'vegan cheese'],
+  meat: ['meat masala']
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const keywordPattern = (terms) => {
+  return new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})(?:e?s)?\\b`, 'i');
+};
+
+const traitPatterns = Object.fromEntries(Object.entries(traitKeywords).map(([trait, terms]) => [trait, keywordPattern(terms)]));
+const exceptionPatterns = Object.fromEntries(Object.entries(traitExceptions).map(([trait, terms]) => [trait, keywordPattern(terms)]));
+
+// Traits a free-text name gives away
+const nameTraits = (name) => {
+  const text = String(name || '');
+
+  return Object.keys(traitPatterns).filter(trait => {
+    const cleaned = exceptionPatterns[trait] ? text.replace(new RegExp(exceptionPatterns[trait].source, 'gi'), ' ') : text;
+    return traitPatterns[trait].test(cleaned);
+  });
+};
+
+// Traits of an ingredient from its name and, when linked, its catalog entry.
+// Everything found is kept - a false alarm is better than a missed allergen.
+const ingredientTraits = (name, entry) => {
+  const traits = new Set(nameTraits(name));
+
+  if (entry) {
+    [entry.name, ...(entry.synonyms || []).map(synonym => synonym.term)]
+      .forEach(term => nameTraits(term).forEach(trait => traits.add(trait)));
+    (categoryTraits[entry.category] || []).forEach(trait => traits.add(trait));
+    (entry.allergens || []).forEach(allergen => traits.add(allergen));
+  }
+
+  return traits;
+};
+
+const allergensIn = (traits) => allergenTypes.filter(allergen => traits.has(allergen));
+
+const dietsFor = (traits) => dietTypes.filter(diet => !dietRules[diet].some(trait => traits.has(trait)));
+
+// Work out a recipe's allergens and diets from its ingredients (catalog is a Map
+// of ingredient id -> entry), then apply the chef's overrides
+const deriveDietary = (ingredients, catalog, overrides = {}) => {
+  const traits = new Set();
+
+  ingredients.forEach(recipeIngredient => {
+    const entry = recipeIngredient.ingredient && catalog.get(recipeIngredient.ingredient.toString());
+    const name = (recipeIngredient.parsed && recipeIngredient.parsed.name) || recipeIngredient.name;
+    ingredientTraits(name, entry).forEach(trait => traits.add(trait));
+  });
+
+  // Allergen overrides change what the diets are worked out from
+  (overrides.contains || []).forEach(allergen => traits.add(allergen));
+  (overrides.free || []).forEach(allergen => traits.delete(allergen));
+
+  const diets = new Set(dietsFor(traits));
+  (overrides.compliant || []).forEach(diet => diets.add(diet));
+  (overrides.notCompliant || []).forEach(diet => diets.delete(diet));
+
+  return {
+    allergens: allergensIn(traits),
+    diets: dietTypes.filter(diet => diets.has(diet))
+  };
+};
+
+const userAllergies = (user) => (user && user.profile && user.profile.allergies) || [];
+
+// MongoDB conditions that keep out anything the user is allergic to and,
+// when diets are given, anything that doesn't fit all of them.
+// Works for foods and catalog ingredients alike.
+const dietaryFilter = ({ allergies = [], diets = [] } = {}) => {
+  const filter = {};
+  if (allergies.length) filter.allergens = { $nin: allergies };
+  if (diets.length) filter.diets = { $all: diets };
+  return filter;
+};
+
+// Split a "vegan,keto" style query value (or repeated ?diet=) into a list
+const listParam = (value) => {
+  return [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+};
+
+// ?diet=vegan,keto and ?excludeAllergens=nuts - hard filters for listings
+const dietaryQueryValidators = [
+  query('diet').optional().customSanitizer(listParam)
+    .custom(diets => diets.every(diet => dietTypes.includes(diet)))
+    .withMessage(`Diets must be any of: ${dietTypes.join(', ')}`),
+  query('excludeAllergens').optional().customSanitizer(listParam)
+    .custom(allergens => allergens.every(allergen => allergenTypes.includes(allergen)))
+    .withMessage(`Allergens must be any of: ${allergenTypes.join(', ')}`)
+];
+
+module.exports = {
+  allergenTypes,
+  dietTypes,
+  dietRules,
+  ingredientTraits,
+  allergensIn,
+  dietsFor,
+  deriveDietary,
+  userAllergies,
+  dietaryFilter,
+  listParam,
+  dietaryQueryValidators
+};
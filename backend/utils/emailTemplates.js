@@ -0,0 +1,98 @@
+// Email templates - each returns { subject, text, html }
+
+const htmlEntities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Every value that goes into the html part passes through here
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => htmlEntities[char]);
+
+const layout = (title, body) => `
+  <div style="font-family: Inter, Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1A1A1A;">
+    <h2 style="color: #F37A20;">🍽️ ${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">Khaana AI - Desi Cooking Assistant</p>
+  </div>
+`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="background: #F37A20; color: #fff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+const verifyEmail = ({ name, url, expiresInHours }) => ({
+  subject: 'Verify your Khaana AI email',
+  text: `Hi ${name},\n\nPlease verify your email address by opening the link below:\n\n${url}\n\nThis link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`,
+  html: layout('Verify your email', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Please verify your email address to finish setting up your Khaana AI account.</p>
+    ${button(url, 'Verify email')}
+    <p>This link expires in ${escapeHtml(expiresInHours)} hours. If you did not create an account, you can ignore this email.</p>
+  `)
+});
+
+const passwordReset = ({ name, url, expiresInMinutes }) => ({
+  subject: 'Reset your Khaana AI password',
+  text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${url}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+  html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We received a request to reset your password.</p>
+    ${button(url, 'Choose a new password')}
+    <p>This link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>
+  `)
+});
+
+const accountLocked = ({ name, url, lockMinutes }) => ({
+  subject: 'Your Khaana AI account has been locked',
+  text: `Hi ${name},\n\nWe locked your account for ${lockMinutes} minutes after too many failed login attempts.\n\nIf this was you, you can unlock it right away:\n\n${url}\n\nIf it wasn't you, we recommend resetting your password.`,
+  html: layout('Your account has been locked', `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We locked your account for ${escapeHtml(lockMinutes)} minutes after too many failed login attempts.</p>
+    <p>If this was you, you can unlock it right away:</p>
+    ${button(url, 'Unlock my account')}
+    <p>If it wasn't you, we recommend resetting your password.</p>
+  `)
+});
+
+const accountDeletionScheduled = ({ name, scheduledFor }) => {
+  const date = new Date(scheduledFor).toDateString();
+  return {
+    subject: 'Your Khaana AI account is scheduled for deletion',
+    text: `Hi ${name},\n\nYour account and personal data will be permanently deleted on ${date}.\n\nChanged your mind? Log in before then and cancel the deletion from your account settings.`,
+    html: layout('Account scheduled for deletion', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your account and personal data will be permanently deleted on <strong>${escapeHtml(date)}</strong>.</p>
+      <p>Changed your mind? Log in before then and cancel the deletion from your account settings.</p>
+    `)
+  };
+};
+
+const pantryExpiring = ({ name, items, url }) => {
+  const lines = items.map(item => `${item.name} (expires ${new Date(item.expiresAt).toDateString()})`);
+  return {
+    subject: 'Use them up: pantry items expiring soon',
+    text: `Hi ${name},\n\nThese items in your pantry are about to expire:\n\n${lines.map(line => `- ${line}`).join('\n')}\n\nWe've picked recipes that use them up:\n\n${url}`,
+    html: layout('Pantry items expiring soon', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>These items in your pantry are about to expire:</p>
+      <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+      ${button(url, 'See recipes that use them up')}
+    `)
+  };
+};
+
+const templates = {
+  verifyEmail,
+  passwordReset,
+  accountLocked,
+  accountDeletionScheduled,
+  pantryExpiring
+};
+
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = { renderTemplate };
@@ -0,0 +1,105 @@
+const Food = require('../models/Food');
+const FoodRevision = require('../models/FoodRevision');
+
+// Times to retry a revision number another edit has just taken
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const isDuplicateKey = error => error.code === 11000;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested objects to dotted paths ("nutrition.calories"); arrays such as
+// ingredients and instructions are compared as a whole
+const flatten = (value, prefix = '', paths = {}) => {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(item)) {
+      flatten(item, path, paths);
+    } else {
+      paths[path] = item;
+    }
+  });
+  return paths;
+};
+
+// Field-level differences between two snapshots: [{ field, before, after }]
+const diffSnapshots = (before, after) => {
+  const from = flatten(before);
+  const to = flatten(after);
+
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .sort()
+    .map(field => ({ field, before: from[field], after: to[field] }));
+};
+
+// Top-level recipe fields that differ between two snapshots
+const changedFields = (before, after) => {
+  return [...new Set(diffSnapshots(before, after).map(({ field }) => field.split('.')[0]))];
+};
+
+// Foods created before revisions existed get their pre-edit state stored as
+// revision 1, so the first edit can still be rolled back
+const ensureBaseline = async (food, snapshot) => {
+  if (await FoodRevision.exists({ food: food._id })) return;
+
+  try {
+    await FoodRevision.create({
+      food: food._id,
+      revision: 1,
+      editor: food.createdBy,
+      action: 'create',
+      changedFields: Object.keys(snapshot),
+      snapshot
+    });
+  } catch (error) {
+    // A concurrent edit stored the same baseline first
+    if (!isDuplicateKey(error)) throw error;
+  }
+};
+
+// Append a revision holding the food's current state. Concurrent edits can
+// pick the same next number; the unique index rejects all but one, and the
+// others try again with the number after it.
+const recordRevision = async (food, { editor, action, previous, restoredFrom }) => {
+  const snapshot = food.revisionSnapshot();
+
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await FoodRevision.latestFor(food._id);
+
+    try {
+      return await FoodRevision.create({
+        food: food._id,
+        revision: latest ? latest.revision + 1 : 1,
+        editor,
+        action,
+        restoredFrom,
+        changedFields: previous ? changedFields(previous, snapshot) : Object.keys(snapshot),
+        snapshot
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error) || attempt >= MAX_NUMBERING_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Every uploaded image the foods or any of their revisions refer to. Replaced
+// images stay in storage while a revision could restore them, so they're only
+// cleaned up once the food is deleted.
+const foodImages = async (foodIds) => {
+  const [foods, revisions] = await Promise.all([
+    Food.find({ _id: { $in: foodIds } }),
+    FoodRevision.find({ food: { $in: foodIds } }).select('snapshot').lean()
+  ]);
+
+  return [...foods.map(food => food.revisionSnapshot()), ...revisions.map(revision => revision.snapshot)]
+    .flatMap(snapshot => Food.snapshotImages(snapshot));
+};
+
+module.exports = {
+  diffSnapshots,
+  changedFields,
+  ensureBaseline,
+  recordRevision,
+  foodImages
+};
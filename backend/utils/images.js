@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { allowedFormats, maxPixels } = require('../config/storage');
+const { getStorage } = require('./storage');
+
+// Copies made of each kind of upload, smallest first - the last is the main image.
+// 'cover' crops to the exact box (thumbnails, avatars); 'inside' keeps the shape.
+const imageKinds = {
+  recipe: [
+    { name: 'thumb', width: 200, height: 200, fit: 'cover' },
+    { name: 'small', width: 480 },
+    { name: 'medium', width: 960 },
+    { name: 'large', width: 1600 }
+  ],
+  step: [
+    { name: 'thumb', width: 200, height: 200, fit: 'cover' },
+    { name: 'medium', width: 640 },
+    { name: 'large', width: 1280 }
+  ],
+  avatar: [
+    { name: 'small', width: 64, height: 64, fit: 'cover' },
+    { name: 'medium', width: 128, height: 128, fit: 'cover' },
+    { name: 'large', width: 256, height: 256, fit: 'cover' },
+    { name: 'xlarge', width: 512, height: 512, fit: 'cover' }
+  ]
+};
+
+// Errors about the upload itself - the error handler answers them with a 400
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Check the upload really is an allowed image (whatever it claimed to be) and make
+// the copies for its kind. Copies are WebP, turned upright from the EXIF orientation,
+// and carry no EXIF or other metadata - so no camera details or GPS location.
+const resizeImage = async (buffer, kind) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw invalidImage('The file could not be read as an image');
+  }
+
+  if (!allowedFormats.includes(metadata.format)) {
+    throw invalidImage(`Images must be ${allowedFormats.join(', ')}`);
+  }
+  if (metadata.width * metadata.height > maxPixels) {
+    throw invalidImage('Image dimensions are too large');
+  }
+
+  // One at a time - resizing is memory-hungry
+  const copies = [];
+  for (const { name, width, height, fit = 'inside' } of imageKinds[kind]) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: maxPixels })
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    copies.push({ name, data, width: info.width, height: info.height });
+  }
+  return copies;
+};
+
+// Resize an upload and save the copies under folder/ - returns a storedImage
+const storeImage = async (buffer, { kind, folder, uploadedBy }) => {
+  const copies = await resizeImage(buffer, kind);
+  const id = crypto.randomBytes(8).toString('hex');
+  const storage = getStorage();
+
+  const variants = [];
+  for (const copy of copies) {
+    const key = `${folder}/${id}-${copy.name}.webp`;
+    const url = await storage.save(key, copy.data, 'image/webp');
+    variants.push({ name: copy.name, url, key, width: copy.width, height: copy.height });
+  }
+
+  return {
+    url: variants[variants.length - 1].url,
+    variants,
+    uploadedBy,
+    uploadedAt: new Date()
+  };
+};
+
+// Delete every stored copy of the given images; empty entries are skipped
+const removeImages = async (images) => {
+  const keys = new Set(images
+    .filter(Boolean)
+    .flatMap(image => (image.variants || []).map(variant => variant.key)));
+
+  if (keys.size) await getStorage().remove([...keys]);
+};
+
+module.exports = {
+  imageKinds,
+  resizeImage,
+  storeImage,
+  removeImages
+};
@@ -0,0 +1,71 @@
+const Food = require('../models/Food');
+const Ingredient = require('../models/Ingredient');
+
+// Escape user input before it goes anywhere near a RegExp
+const escapeRegExp = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Match a whole word or phrase (and its plural) - "oil" matches "mustard oil" but not "boiled"
+const wordRegExp = (term) => {
+  return new RegExp(`\\b${escapeRegExp(term.trim())}(?:e?s)?\\b`, 'i');
+};
+
+// Build a matcher for each search term, resolving it through the ingredient catalog
+// so "aloo" also finds "potato" and "dhania" finds "coriander leaves"
+const buildIngredientMatchers = async (terms) => {
+  const catalog = await Ingredient.resolveNames(terms);
+
+  return terms.map(term => {
+    const ingredient = catalog.get(term);
+    const names = ingredient ? ingredient.allNames() : [term];
+
+    return {
+      term,
+      ingredient: ingredient ? { _id: ingredient._id, name: ingredient.name } : null,
+      patterns: [...new Set([term, ...names])].map(wordRegExp)
+    };
+  });
+};
+
+// MongoDB filter for foods containing any of the matched ingredients
+const matchersFilter = (matchers) => {
+  const ingredientIds = matchers.filter(matcher => matcher.ingredient).map(matcher => matcher.ingredient._id);
+  const patterns = matchers.flatMap(matcher => matcher.patterns);
+
+  const conditions = [{ 'ingredients.name': { $in: patterns } }];
+  if (ingredientIds.length) conditions.push({ 'ingredients.ingredient': { $in: ingredientIds } });
+
+  return { $or: conditions };
+};
+
+// Does a recipe ingredient satisfy the matcher - by catalog link first, then by name
+const ingredientMatches = (recipeIngredient, matcher) => {
+  if (matcher.ingredient && recipeIngredient.ingredient &&
+      recipeIngredient.ingredient.toString() === matcher.ingredient._id.toString()) {
+    return true;
+  }
+  return matcher.patterns.some(pattern => pattern.test(recipeIngredient.name));
+};
+
+// Re-link existing foods to the catalog (after catalog changes or for backfills)
+const linkFoodIngredients = async (filter = {}) => {
+  let updated = 0;
+
+  for await (const food of Food.find(filter).select('ingredients').lean().cursor()) {
+    await Food.linkToCatalog(food.ingredients);
+    await Food.collection.updateOne({ _id: food._id }, { $set: { ingredients: food.ingredients } });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  escapeRegExp,
+  wordRegExp,
+  buildIngredientMatchers,
+  matchersFilter,
+  ingredientMatches,
+  linkFoodIngredients
+};
@@ -0,0 +1,170 @@
+const { normalizeUnit } = require('./units');
+
+const unicodeFractions = {
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4',
+  '⅕': '1/5', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+// Words that describe how full the measure is ("1 tsp heaped")
+const measureModifiers = ['heaped', 'heaping', 'level', 'rounded', 'scant', 'generous', 'heavy', 'large', 'small', 'medium', 'big'];
+
+// Amounts that aren't really measured - kept as a unit, but never scaled
+const vagueUnits = {
+  pinch: ['pinch', 'pinches', 'chutki'],
+  dash: ['dash', 'dashes'],
+  sprinkle: ['sprinkle', 'sprinkling'],
+  'to taste': ['to taste', 'as per taste', 'as needed', 'as required', 'optional']
+};
+
+// Vague but countable, so it still scales ("2 handfuls" for 4 -> 4 for 8)
+const countUnits = {
+  handful: ['handful', 'handfuls', 'mutthi'],
+  piece: ['piece', 'pieces', 'pc', 'pcs', 'no', 'nos', 'number', 'whole'],
+  clove: ['clove', 'cloves'],
+  inch: ['inch', 'inches', 'in'],
+  bunch: ['bunch', 'bunches'],
+  sprig: ['sprig', 'sprigs'],
+  stick: ['stick', 'sticks'],
+  leaf: ['leaf', 'leaves'],
+  pod: ['pod', 'pods'],
+  slice: ['slice', 'slices'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  packet: ['packet', 'packets', 'pack', 'packs']
+};
+
+const preparationVerbs = 'chopped|diced|minced|sliced|grated|crushed|julienned|pureed|puréed|peeled|beaten|melted|softened|soaked|boiled|roasted|toasted|whisked|shredded|halved|quartered|cubed|deseeded|slit|mashed|sifted';
+const leadingPreparation = new RegExp(`^((?:finely|roughly|thinly|coarsely|freshly|lightly)\\s+(?:${preparationVerbs}))\\s+(.+)$`, 'i');
+
+const lookup = (table, text) => {
+  const cleaned = text.trim().toLowerCase();
+  return Object.keys(table).find(key => table[key].includes(cleaned)) || null;
+};
+
+const replaceUnicodeFractions = (text) => {
+  return text
+    .replace(/(\d)([½⅓⅔¼¾⅕⅛⅜⅝⅞])/g, '$1 $2')
+    .replace(/[½⅓⅔¼¾⅕⅛⅜⅝⅞]/g, fraction => unicodeFractions[fraction]);
+};
+
+// Parse one number: "2", "1.5", "1/2" or "1 1/2"
+const parseNumber = (text) => {
+  let match = text.match(/^(\d+(?:\.\d+)?)$/);
+  if (match) return parseFloat(match[1]);
+
+  match = text.match(/^(\d+)\/(\d+)$/);
+  if (match && Number(match[2]) > 0) return Number(match[1]) / Number(match[2]);
+
+  match = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (match && Number(match[3]) > 0) return Number(match[1]) + Number(match[2]) / Number(match[3]);
+
+  return null;
+};
+
+const amountPattern = /^((?:\d+(?:\.\d+)?(?:\s+\d+\/\d+|\/\d+)?)(?:\s*(?:-|–|to)\s*(?:\d+(?:\.\d+)?(?:\s+\d+\/\d+|\/\d+)?))?)\s*(.*)$/i;
+
+// Split "2-3 tsp heaped" into its amount range and whatever text follows
+const splitAmount = (text) => {
+  const match = replaceUnicodeFractions(String(text || '').trim()).match(amountPattern);
+  if (!match) return { min: null, max: null, rest: String(text || '').trim() };
+
+  const [low, high = low] = match[1].split(/\s*(?:-|–|\bto\b)\s*/i);
+  const min = parseNumber(low.trim());
+  const max = parseNumber(high.trim());
+
+  if (min === null || max === null) return { min: null, max: null, rest: String(text || '').trim() };
+
+  return { min: Math.min(min, max), max: Math.max(min, max), rest: match[2].trim() };
+};
+
+// Pull "heaped", "level"... out of a piece of text, returning what's left
+const takeModifiers = (text, notes) => {
+  return text.split(/\s+/).filter(word => {
+    if (measureModifiers.includes(word.toLowerCase())) {
+      notes.push(word.toLowerCase());
+      return false;
+    }
+    return true;
+  }).join(' ');
+};
+
+// Split "onion, finely chopped" / "tomatoes (deseeded)" / "finely chopped onion"
+// into the ingredient and how it's prepared
+const parsePreparation = (name) => {
+  const text = String(name || '').trim();
+
+  let match = text.match(/^(.+?)\s*\((.+)\)$/);
+  if (match) return { name: match[1].trim(), preparation: match[2].trim() };
+
+  match = text.match(/^(.+?)\s*,\s*(.+)$/);
+  if (match) return { name: match[1].trim(), preparation: match[2].trim() };
+
+  match = text.match(leadingPreparation);
+  if (match) return { name: match[2].trim(), preparation: match[1].toLowerCase() };
+
+  return { name: text, preparation: '' };
+};
+
+// Resolve a unit to its canonical name and whether amounts in it can be scaled
+const resolveUnit = (text) => {
+  if (!text) return { unit: null, scalable: true };
+
+  const measured = normalizeUnit(text);
+  if (measured) return { unit: measured, scalable: true };
+
+  const vague = lookup(vagueUnits, text);
+  if (vague) return { unit: vague, scalable: false };
+
+  const counted = lookup(countUnits, text);
+  if (counted) return { unit: counted, scalable: true };
+
+  return null;
+};
+
+// Turn a recipe ingredient's free-text quantity and unit into a numeric range,
+// a canonical unit and a preparation note
+const parseIngredient = ({ name, quantity, unit }) => {
+  const notes = [];
+  const { name: baseName, preparation } = parsePreparation(name);
+  if (preparation) notes.push(preparation);
+
+  let { min, max, rest } = splitAmount(quantity);
+  rest = takeModifiers(rest, notes).replace(/^(a|an)\s+/i, '');
+  let unitText = takeModifiers(String(unit || '').trim(), notes);
+  let resolved = resolveUnit(unitText);
+
+  // The quantity field sometimes carries the unit too ("1 tsp", "a pinch", "to taste")
+  const fromQuantity = rest ? resolveUnit(rest) : null;
+  if (fromQuantity && (!unitText || !resolved || !fromQuantity.scalable)) {
+    if (unitText && !resolved) notes.push(unitText.toLowerCase());
+    resolved = fromQuantity;
+  } else if (rest) {
+    notes.push(rest.toLowerCase());
+  }
+
+  // Anything else in the unit field ("medium", "cloves of") is kept as a note on a counted item
+  if (!resolved) {
+    notes.push(unitText.toLowerCase());
+    resolved = { unit: 'piece', scalable: true };
+  }
+
+  // "a pinch" or "handful" with no number means one of them
+  if (min === null && resolved.unit && resolved.unit !== 'to taste' && (!rest || fromQuantity)) {
+    min = 1;
+    max = 1;
+  }
+
+  return {
+    name: baseName,
+    quantityMin: min,
+    quantityMax: max,
+    unit: resolved.unit || (min === null ? null : 'piece'),
+    preparation: [...new Set(notes.filter(Boolean))].join(', '),
+    scalable: resolved.scalable && min !== null
+  };
+};
+
+module.exports = {
+  parseNumber,
+  parsePreparation,
+  parseIngredient
+};
@@ -0,0 +1,107 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const loginSecurity = require('../config/loginSecurity');
+const { issueAuthTokens, generateTwoFactorChallenge } = require('./tokens');
+const { sendEmail } = require('./sendEmail');
+
+// Base URL for links in emails
+const getBaseUrl = (req) => {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+// Record a failed login for the IP and, if known, the account - emails an unlock link on lockout
+const recordFailedLogin = async (user, req) => {
+  await LoginThrottle.registerFailure(req.ip);
+
+  if (!user) return;
+
+  const unlockToken = await user.registerFailedLogin();
+
+  if (unlockToken) {
+    try {
+      await sendEmail({
+        email: user.email,
+        template: 'accountLocked',
+        data: {
+          name: user.name,
+          url: `${getBaseUrl(req)}/api/auth/unlock/${unlockToken}`,
+          lockMinutes: loginSecurity.account.lockMinutes
+        }
+      });
+    } catch (emailError) {
+      console.error('❌ Account locked email failed:', emailError.message);
+    }
+  }
+};
+
+// Respond with 423/429 if the account is locked or backing off - returns true if it responded
+const rejectBlockedLogin = (user, res) => {
+  const retryAfterMs = user.getLoginRetryAfter();
+
+  if (retryAfterMs <= 0) return false;
+
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  if (user.isLocked) {
+    res.status(423).json({
+      status: 'error',
+      message: 'Account is temporarily locked after too many failed login attempts. Check your email to unlock it.'
+    });
+  } else {
+    res.status(429).json({
+      status: 'error',
+      message: `Too many failed login attempts, please try again in ${retryAfter} seconds`
+    });
+  }
+  return true;
+};
+
+
+// Finish a successful login: start a session and send the user with their tokens
+const sendLoginSuccess = async (user, req, res) => {
+  await user.resetFailedLogins();
+  await user.updateLastLogin();
+
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  res.json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        profile: user.profile,
+        stats: user.stats,
+        isEmailVerified: user.isEmailVerified
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Called once the first factor checks out - asks for a TOTP code if 2FA is on
+const completeLogin = async (user, req, res) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json({
+      status: 'success',
+      message: 'Two-factor authentication code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      }
+    });
+  }
+
+  return sendLoginSuccess(user, req, res);
+};
+
+module.exports = {
+  recordFailedLogin,
+  rejectBlockedLogin,
+  sendLoginSuccess,
+  completeLogin
+};
@@ -0,0 +1,122 @@
+const Food = require('../models/Food');
+const { recommendationFilter } = require('./recommendations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Which food categories suit each meal slot
+const slotCategories = {
+  breakfast: ['bread', 'snack', 'beverage'],
+  lunch: ['main-course', 'curry', 'rice', 'bread'],
+  snack: ['snack', 'appetizer', 'dessert', 'beverage'],
+  dinner: ['main-course', 'curry', 'rice']
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Candidates are shuffled within bands of this many, by rank
+const SHUFFLE_BAND = 15;
+
+// How many of the best-ranked dishes each slot chooses from
+const CANDIDATES_PER_SLOT = 60;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Shuffle the ranking a little so regenerating gives a different week, while
+// the best-ranked dishes are still tried first
+const shuffleWithinBands = (items, size) => {
+  const bands = [];
+  for (let i = 0; i < items.length; i += size) {
+    bands.push(...shuffle(items.slice(i, i + size)));
+  }
+  return bands;
+};
+
+// The best-ranked dishes for a slot, lightly shuffled. Each slot draws from its
+// own categories, so popular curries can't crowd breakfast out of the pool.
+const findSlotCandidates = async (user, slot) => {
+  const candidates = await Food.find({ ...recommendationFilter(user), category: { $in: slotCategories[slot] } })
+    .sort({ popularity: -1, 'rating.average': -1 })
+    .limit(CANDIDATES_PER_SLOT)
+    .select('name category cuisine prepTime cookTime servings');
+
+  return shuffleWithinBands(candidates, SHUFFLE_BAND);
+};
+
+// Fill the empty slots of a meal plan. Uses the same preference filter as
+// recommendations, keeps the week within its time budget, doesn't repeat a
+// dish, and avoids cooking the same cuisine on consecutive days where it can.
+// Returns the new entries and the slots that couldn't be filled.
+const generateMealPlanEntries = async ({ user, plan, slots, servings }) => {
+  const candidatesBySlot = new Map(await Promise.all(
+    [...new Set(slots)].map(async slot => [slot, await findSlotCandidates(user, slot)])
+  ));
+
+  // What's already planned
+  const existingFoods = await Food.find({ _id: { $in: plan.entries.map(entry => entry.food) } })
+    .select('cuisine prepTime cookTime');
+  const existingById = new Map(existingFoods.map(food => [food._id.toString(), food]));
+
+  const usedFoods = new Set(plan.entries.map(entry => entry.food.toString()));
+  const cuisinesByDay = new Map();
+  let minutesUsed = 0;
+
+  plan.entries.forEach(entry => {
+    const food = existingById.get(entry.food.toString());
+    if (!food) return;
+    minutesUsed += food.prepTime + food.cookTime;
+    const key = dayKey(entry.date);
+    if (!cuisinesByDay.has(key)) cuisinesByDay.set(key, new Set());
+    cuisinesByDay.get(key).add(food.cuisine);
+  });
+
+  // No budget set means no limit, but a budget of 0 is still a budget
+  const noBudget = plan.timeBudgetMinutes === undefined || plan.timeBudgetMinutes === null;
+  const budget = noBudget ? Infinity : plan.timeBudgetMinutes;
+  const entries = [];
+  const unfilled = [];
+
+  for (let day = 0; day < 7; day++) {
+    const date = new Date(plan.weekStart.getTime() + day * DAY_MS);
+    const key = dayKey(date);
+    const neighbours = [dayKey(new Date(date.getTime() - DAY_MS)), dayKey(new Date(date.getTime() + DAY_MS))];
+    if (!cuisinesByDay.has(key)) cuisinesByDay.set(key, new Set());
+
+    for (const slot of slots) {
+      if (plan.findEntry(date, slot)) continue;
+
+      const candidates = candidatesBySlot.get(slot);
+      const fits = food => !usedFoods.has(food._id.toString()) &&
+        minutesUsed + food.prepTime + food.cookTime <= budget;
+      const freshCuisine = food => !neighbours.some(neighbour =>
+        cuisinesByDay.has(neighbour) && cuisinesByDay.get(neighbour).has(food.cuisine));
+
+      // Prefer a cuisine not cooked the day before or after; repeat only if nothing else fits
+      const food = candidates.find(candidate => fits(candidate) && freshCuisine(candidate)) ||
+        candidates.find(fits);
+
+      if (!food) {
+        unfilled.push({ date, slot });
+        continue;
+      }
+
+      usedFoods.add(food._id.toString());
+      cuisinesByDay.get(key).add(food.cuisine);
+      minutesUsed += food.prepTime + food.cookTime;
+      entries.push({ date, slot, food: food._id, servings: servings || food.servings, generated: true });
+    }
+  }
+
+  return { entries, unfilled, minutesUsed };
+};
+
+module.exports = {
+  slotCategories,
+  generateMealPlanEntries
+};
@@ -0,0 +1,156 @@
+const { body } = require('express-validator');
+const Food = require('../models/Food');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+
+// Reportable content and who authored it
+const targetTypes = {
+  food: { model: Food, authorOf: target => target.createdBy },
+  review: { model: Review, authorOf: target => target.user },
+  user: { model: User, authorOf: target => target._id }
+};
+
+const getAutoHideThreshold = () => parseInt(process.env.MODERATION_AUTO_HIDE_REPORTS) || 3;
+
+// Shared validation for report endpoints
+const reportValidators = [
+  body('reason').isIn(Report.schema.path('reason').enumValues).withMessage('Invalid report reason'),
+  body('details').optional().isString().trim().isLength({ max: 500 }).withMessage('Details cannot exceed 500 characters')
+];
+
+const setHidden = (targetType, targetId, hidden, moderatorId) => {
+  const { model } = targetTypes[targetType];
+  const update = hidden
+    ? { 'moderation.hidden': true, 'moderation.hiddenAt': new Date(), 'moderation.hiddenBy': moderatorId, 'moderation.reportCount': 0 }
+    : { 'moderation.hidden': false, 'moderation.reportCount': 0, $unset: { 'moderation.hiddenAt': 1, 'moderation.hiddenBy': 1 } };
+  return model.updateOne({ _id: targetId }, update);
+};
+
+// Hidden reviews drop out of the food's rating, so recompute it
+const afterVisibilityChange = async (targetType, target) => {
+  if (targetType === 'review') {
+    await Review.recalculateRating(target.food);
+  }
+};
+
+// File a report and auto-hide the target once enough distinct users have reported it
+const fileReport = async ({ targetType, target, reporter, reason, details }) => {
+  const report = await Report.create({
+    targetType,
+    target: target._id,
+    reporter: reporter._id,
+    reason,
+    details
+  });
+
+  const openReports = await Report.find({ targetType, target: target._id, status: 'open' }).select('_id');
+  const { model } = targetTypes[targetType];
+  await model.updateOne({ _id: target._id }, { 'moderation.reportCount': openReports.length });
+
+  let autoHidden = false;
+  if (!target.moderation.hidden && openReports.length >= getAutoHideThreshold()) {
+    await setHidden(targetType, target._id, true);
+    await afterVisibilityChange(targetType, target);
+    await ModerationAction.create({
+      targetType,
+      target: target._id,
+      action: 'auto-hide',
+      reason: `Automatically hidden after ${openReports.length} reports`,
+      reports: openReports.map(openReport => openReport._id)
+    });
+    autoHidden = true;
+  }
+
+  return { report, autoHidden };
+};
+
+// Apply a moderator decision (approve, hide or ban), close open reports and audit it
+const applyModerationAction = async ({ targetType, target, action, moderator, reason }) => {
+  const openReports = await Report.find({ targetType, target: target._id, status: 'open' }).select('_id');
+  let bannedUser;
+
+  if (action === 'approve') {
+    await setHidden(targetType, target._id, false);
+  } else {
+    await setHidden(targetType, target._id, true, moderator._id);
+  }
+
+  if (action === 'ban') {
+    bannedUser = targetTypes[targetType].authorOf(target);
+    await User.updateOne(
+      { _id: bannedUser },
+      { isActive: false, 'moderation.bannedAt': new Date() }
+    );
+    await Session.revokeAllForUser(bannedUser, 'deactivated');
+  }
+
+  await afterVisibilityChange(targetType, target);
+
+  await Report.updateMany(
+    { _id: { $in: openReports.map(openReport => openReport._id) } },
+    {
+      status: action === 'approve' ? 'dismissed' : 'resolved',
+      resolvedBy: moderator._id,
+      resolvedAt: new Date()
+    }
+  );
+
+  return ModerationAction.create({
+    targetType,
+    target: target._id,
+    action,
+    moderator: moderator._id,
+    reason,
+    reports: openReports.map(openReport => openReport._id),
+    bannedUser
+  });
+};
+
+// Route handler factory for POST .../report endpoints - expects req.reportTarget to be loaded
+const handleReport = (targetType) => async (req, res, next) => {
+  try {
+    const target = req.reportTarget;
+    const authorId = targetTypes[targetType].authorOf(target);
+
+    if (authorId && authorId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot report your own content'
+      });
+    }
+
+    const alreadyReported = await Report.exists({ targetType, target: target._id, reporter: req.user._id });
+    if (alreadyReported) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You have already reported this'
+      });
+    }
+
+    await fileReport({
+      targetType,
+      target,
+      reporter: req.user,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Thanks for letting us know. Our moderators will take a look.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  targetTypes,
+  reportValidators,
+  fileReport,
+  applyModerationAction,
+  handleReport
+};
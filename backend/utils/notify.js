@@ -0,0 +1,29 @@
+const Notification = require('../models/Notification');
+const { sendEmail } = require('./sendEmail');
+
+// Notify a user on the channels they've opted into (User.preferences.notifications).
+// Returns the channels that were used.
+const notifyUser = async (user, { type, title, body, link, email }) => {
+  const preferences = (user.preferences && user.preferences.notifications) || {};
+  const channels = [];
+
+  if (preferences.push !== false) {
+    await Notification.create({ user: user._id, type, title, body, link });
+    channels.push('push');
+  }
+
+  if (preferences.email !== false && email) {
+    try {
+      await sendEmail({ email: user.email, template: email.template, data: email.data });
+      channels.push('email');
+    } catch (error) {
+      console.error(`❌ Failed to email ${type} notification:`, error.message);
+    }
+  }
+
+  return channels;
+};
+
+module.exports = {
+  notifyUser
+};
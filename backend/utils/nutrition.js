@@ -0,0 +1,138 @@
+const { units, convert } = require('./units');
+const { divergenceTolerance, minCoverage } = require('../config/nutrition');
+
+const nutrientFields = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Rough weights for amounts nobody measures, unless the catalog entry says otherwise
+const defaultUnitWeights = {
+  pinch: 0.3,
+  dash: 0.6,
+  sprinkle: 0.5,
+  handful: 30,
+  'to taste': 0
+};
+
+// Differences smaller than this are noise whatever the percentage says
+const absoluteSlack = { calories: 20, protein: 2, carbs: 2, fat: 2, fiber: 1 };
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const roundNutrients = (nutrients) => {
+  return nutrientFields.reduce((rounded, field) => {
+    rounded[field] = round(nutrients[field], field === 'calories' ? 0 : 1);
+    return rounded;
+  }, {});
+};
+
+const unitWeight = (nutrition, unit) => {
+  const weights = nutrition.unitWeights;
+  const grams = weights && (typeof weights.get === 'function' ? weights.get(unit) : weights[unit]);
+  return grams !== undefined && grams !== null ? grams : defaultUnitWeights[unit];
+};
+
+// How many grams a parsed recipe amount comes to, or null if we can't tell
+const ingredientGrams = (parsed, nutrition) => {
+  if (!parsed || !parsed.unit) return null;
+  if (parsed.unit === 'to taste') return 0;
+  if (parsed.quantityMin === null || parsed.quantityMin === undefined) return null;
+
+  const amount = (parsed.quantityMin + (parsed.quantityMax || parsed.quantityMin)) / 2;
+  const definition = units[parsed.unit];
+
+  if (definition && definition.kind === 'mass') return convert(amount, parsed.unit, 'g');
+  if (definition && definition.kind === 'volume') {
+    return nutrition.gramsPerMl ? convert(amount, parsed.unit, 'ml') * nutrition.gramsPerMl : null;
+  }
+
+  const grams = unitWeight(nutrition, parsed.unit);
+  return grams === undefined ? null : amount * grams;
+};
+
+// Work out per-serving nutrition from a recipe's parsed ingredients and the
+// catalog entries they link to (a Map of ingredient id -> catalog entry)
+const calculateNutrition = (food, catalog) => {
+  const totals = Object.fromEntries(nutrientFields.map(field => [field, 0]));
+  const breakdown = [];
+  const missing = [];
+
+  food.ingredients.forEach(recipeIngredient => {
+    const entry = recipeIngredient.ingredient && catalog.get(recipeIngredient.ingredient.toString());
+    const nutrition = entry && entry.nutrition;
+    const grams = nutrition && nutrition.per100g ? ingredientGrams(recipeIngredient.parsed, nutrition) : null;
+
+    if (grams === null) {
+      missing.push(recipeIngredient.name);
+      return;
+    }
+
+    const contribution = {};
+    nutrientFields.forEach(field => {
+      contribution[field] = (nutrition.per100g[field] || 0) * grams / 100;
+      totals[field] += contribution[field];
+    });
+
+    breakdown.push({
+      name: recipeIngredient.name,
+      ingredient: entry.name,
+      grams: round(grams, 1),
+      ...roundNutrients(contribution)
+    });
+  });
+
+  const servings = food.servings || 1;
+  const perServing = roundNutrients(Object.fromEntries(
+    nutrientFields.map(field => [field, totals[field] / servings])
+  ));
+  const coverage = food.ingredients.length ? round(breakdown.length / food.ingredients.length, 2) : 0;
+
+  return {
+    perServing,
+    coverage,
+    missingIngredients: missing,
+    breakdown,
+    divergence: compareNutrition(food.nutrition, perServing, coverage)
+  };
+};
+
+// Compare hand-entered nutrition with the computed values. Only fields the
+// chef filled in are checked, and only when enough of the recipe was costed.
+const compareNutrition = (manual, computed, coverage) => {
+  const fields = [];
+
+  if (manual && coverage >= minCoverage) {
+    nutrientFields.forEach(field => {
+      const value = manual[field];
+      if (value === undefined || value === null) return;
+
+      const difference = computed[field] - value;
+      const relative = Math.abs(difference) / Math.max(value, computed[field], 1);
+
+      if (Math.abs(difference) > absoluteSlack[field] && relative > divergenceTolerance) {
+        fields.push({ field, manual: value, computed: computed[field], difference: round(difference, 1) });
+      }
+    });
+  }
+
+  return { divergent: fields.length > 0, fields };
+};
+
+// The part of a calculation that is stored on the food
+const nutritionSummary = (result) => ({
+  ...result.perServing,
+  coverage: result.coverage,
+  missingIngredients: result.missingIngredients,
+  divergent: result.divergence.divergent,
+  divergentFields: result.divergence.fields.map(({ field }) => field),
+  computedAt: new Date()
+});
+
+module.exports = {
+  nutrientFields,
+  ingredientGrams,
+  calculateNutrition,
+  compareNutrition,
+  nutritionSummary
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Cached discovery documents and signing keys, per issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const oidcError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    // 400 means the provider rejected our request (e.g. invalid_grant); anything else is on their side
+    const statusCode = response.status === 400 ? 401 : 502;
+    throw oidcError(body.error_description || body.error || `OIDC request to ${url} failed`, statusCode);
+  }
+
+  return body;
+};
+
+// Fetch the provider's /.well-known/openid-configuration
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.fetchedAt > Date.now() - CACHE_TTL_MS) {
+    return cached.config;
+  }
+
+  const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { config, fetchedAt: Date.now() });
+  return config;
+};
+
+// Find the public key for a token, refetching the JWKS once for unknown key IDs
+const getSigningKey = async (jwksUri, kid) => {
+  let cached = jwksCache.get(jwksUri);
+
+  if (!cached || cached.fetchedAt < Date.now() - CACHE_TTL_MS || !cached.keys.some(key => key.kid === kid)) {
+    const { keys } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+
+  const jwk = cached.keys.find(key => key.kid === kid) || (!kid && cached.keys[0]);
+  if (!jwk) {
+    throw oidcError('Unable to find signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Build the authorization URL along with the PKCE/state values to store
+const createAuthorizationRequest = async (provider) => {
+  const config = await discover(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    state,
+    nonce,
+    codeVerifier
+  };
+};
+
+// Exchange an authorization code and return the verified ID token claims
+const exchangeCode = async (provider, { code, codeVerifier, nonce, redirectUri }) => {
+  const config = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('Provider did not return an ID token', 502);
+  }
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+  if (!header) {
+    throw oidcError('Malformed ID token');
+  }
+
+  const key = await getSigningKey(config.jwks_uri, header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      issuer: config.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  discover,
+  createAuthorizationRequest,
+  exchangeCode
+};
@@ -0,0 +1,131 @@
+const PantryItem = require('../models/PantryItem');
+const User = require('../models/User');
+const { staples, expiringSoonDays } = require('../config/pantry');
+const { buildIngredientMatchers, ingredientMatches } = require('./ingredientMatching');
+const { notifyUser } = require('./notify');
+
+// Matchers for everything the user has on hand - their usable pantry plus staples
+const buildPantryMatchers = async (userId) => {
+  const items = await PantryItem.getUsable(userId);
+
+  const itemMatchers = await buildIngredientMatchers(items.map(item => item.name));
+  itemMatchers.forEach((matcher, index) => {
+    matcher.item = items[index];
+    // The pantry item's own catalog link wins over name resolution
+    if (items[index].ingredient && !matcher.ingredient) {
+      matcher.ingredient = { _id: items[index].ingredient, name: items[index].name };
+    }
+  });
+
+  const stapleMatchers = await buildIngredientMatchers(staples);
+  stapleMatchers.forEach(matcher => { matcher.staple = true; });
+
+  return { items, itemMatchers, stapleMatchers };
+};
+
+// How much of a recipe the pantry covers, and what's missing
+const pantryCoverage = (food, { itemMatchers, stapleMatchers }) => {
+  const used = [];
+  const missing = [];
+  let staplesUsed = 0;
+
+  for (const ingredient of food.ingredients) {
+    const fromPantry = itemMatchers.find(matcher => ingredientMatches(ingredient, matcher));
+
+    if (fromPantry) {
+      used.push({ ingredient: ingredient.name, pantryItem: fromPantry.item._id });
+    } else if (stapleMatchers.some(matcher => ingredientMatches(ingredient, matcher))) {
+      staplesUsed += 1;
+    } else {
+      missing.push({ name: ingredient.name, quantity: ingredient.quantity, unit: ingredient.unit });
+    }
+  }
+
+  const total = food.ingredients.length;
+
+  return {
+    coverage: total ? Math.round(((used.length + staplesUsed) / total) * 100) / 100 : 0,
+    usedIngredients: used,
+    missingIngredients: missing
+  };
+};
+
+// Matchers for the user's items that are about to expire
+const buildExpiringMatchers = async (userId, days = expiringSoonDays) => {
+  const items = await PantryItem.getExpiring(userId, days);
+  const matchers = await buildIngredientMatchers(items.map(item => item.name));
+  matchers.forEach((matcher, index) => { matcher.item = items[index]; });
+  return matchers;
+};
+
+// Which expiring items a recipe uses up, and how urgently - items expiring
+// sooner weigh more, so tomorrow's paneer beats next week's yogurt
+const useItUpScore = (food, expiringMatchers) => {
+  const used = expiringMatchers.filter(matcher =>
+    food.ingredients.some(ingredient => ingredientMatches(ingredient, matcher))
+  );
+
+  return {
+    useItUpScore: Math.round(used.reduce((score, matcher) => score + 1 / Math.max(matcher.item.daysUntilExpiry, 1), 0) * 100) / 100,
+    usesExpiring: used.map(matcher => ({
+      _id: matcher.item._id,
+      name: matcher.item.name,
+      expiresAt: matcher.item.expiresAt
+    }))
+  };
+};
+
+// Remind users about pantry items that are about to expire - once per item per expiry date
+const remindExpiringItems = async () => {
+  const now = new Date();
+  const items = await PantryItem.find({
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + expiringSoonDays * 24 * 60 * 60 * 1000) },
+    expiryReminderSentAt: null
+  }).sort({ expiresAt: 1 });
+
+  const byUser = new Map();
+  for (const item of items) {
+    const key = item.user.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(item);
+  }
+
+  let notified = 0;
+  for (const [userId, userItems] of byUser) {
+    const user = await User.findById(userId).select('name email isActive preferences');
+
+    if (user && user.isActive) {
+      const names = userItems.map(item => item.name);
+      await notifyUser(user, {
+        type: 'pantry-expiring',
+        title: `${names.length} pantry item${names.length === 1 ? '' : 's'} expiring soon`,
+        body: `Use up ${names.join(', ')} before they go to waste.`,
+        link: '/pantry?expiring=true',
+        email: {
+          template: 'pantryExpiring',
+          data: {
+            name: user.name,
+            items: userItems.map(item => ({ name: item.name, expiresAt: item.expiresAt })),
+            url: `${process.env.CLIENT_URL || process.env.APP_URL || ''}/pantry?expiring=true`
+          }
+        }
+      });
+      notified += 1;
+    }
+
+    await PantryItem.updateMany(
+      { _id: { $in: userItems.map(item => item._id) } },
+      { expiryReminderSentAt: now }
+    );
+  }
+
+  return notified;
+};
+
+module.exports = {
+  buildPantryMatchers,
+  pantryCoverage,
+  buildExpiringMatchers,
+  useItUpScore,
+  remindExpiringItems
+};
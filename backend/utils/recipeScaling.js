@@ -0,0 +1,108 @@
+const { units, toSystem } = require('./units');
+const { parseIngredient } = require('./ingredientParser');
+
+// Round to the nearest fraction a cook can actually measure
+const roundToFraction = (amount, denominator) => {
+  return Math.round(amount * denominator) / denominator;
+};
+
+// Round an amount the way it would be measured out for its unit
+const roundForKitchen = (amount, unit) => {
+  const definition = units[unit];
+
+  if (!definition) {
+    // Counted items - halves for small numbers, whole items beyond that
+    return amount < 3 ? Math.max(roundToFraction(amount, 2), 0.5) : Math.round(amount);
+  }
+
+  if (['g', 'ml'].includes(unit)) {
+    if (amount < 10) return Math.max(Math.round(amount), 1);
+    if (amount < 100) return Math.round(amount / 5) * 5;
+    return Math.round(amount / 10) * 10;
+  }
+
+  if (['tsp', 'tbsp'].includes(unit)) {
+    return Math.max(roundToFraction(amount, amount < 1 ? 8 : 4), 0.125);
+  }
+
+  return Math.max(roundToFraction(amount, 4), 0.25);
+};
+
+// Format a number as "1 1/2" rather than 1.5
+const formatQuantity = (amount) => {
+  const whole = Math.floor(amount);
+  const fraction = amount - whole;
+
+  if (fraction < 0.01) return String(whole);
+
+  const fractions = [[1, 8], [1, 4], [1, 3], [3, 8], [1, 2], [5, 8], [2, 3], [3, 4], [7, 8]];
+  const closest = fractions.find(([numerator, denominator]) => Math.abs(fraction - numerator / denominator) < 0.01);
+
+  if (!closest) return String(parseFloat(amount.toFixed(2)));
+
+  const fractionText = `${closest[0]}/${closest[1]}`;
+  return whole ? `${whole} ${fractionText}` : fractionText;
+};
+
+// Scale a single ingredient by a factor, optionally into another measurement system.
+// Anything that isn't a measurable amount ("a pinch", "to taste", "0") is returned untouched.
+const scaleIngredient = (ingredient, factor, system) => {
+  const parsed = ingredient.parsed && ingredient.parsed.unit !== undefined
+    ? ingredient.parsed
+    : parseIngredient(ingredient);
+
+  const result = {
+    name: ingredient.name,
+    quantity: ingredient.quantity,
+    unit: ingredient.unit,
+    preparation: parsed.preparation || '',
+    scaled: false
+  };
+
+  // Nothing to scale in a zero amount, and converting it would divide by zero
+  if (!parsed.scalable || !parsed.quantityMax) return result;
+
+  let min = parsed.quantityMin * factor;
+  let max = parsed.quantityMax * factor;
+  let unit = parsed.unit;
+
+  if (system && units[unit]) {
+    // Pick the unit from the top of the range so "2-3 tbsp" stays in one unit
+    const converted = toSystem(max, unit, system);
+    min = min * converted.amount / max;
+    max = converted.amount;
+    unit = converted.unit;
+  }
+
+  const low = formatQuantity(roundForKitchen(min, unit));
+  const high = formatQuantity(roundForKitchen(max, unit));
+
+  // Keep the author's spelling of the unit unless we converted it. When the
+  // unit was written into the quantity ("1 tsp", "a handful") use the parsed
+  // one, since the scaled quantity is only the number. Plain counts ("2",
+  // "2 large") are parsed as pieces but read better without a unit.
+  const authorUnit = String(ingredient.unit || '').trim();
+  const namedPieces = /\bp(?:ie)?c/i.test(String(ingredient.quantity || ''));
+  const parsedUnit = unit === 'piece' && !namedPieces ? '' : unit;
+  const scaledUnit = system && units[unit] ? unit : authorUnit || parsedUnit || '';
+
+  return {
+    ...result,
+    quantity: low === high ? low : `${low}-${high}`,
+    unit: scaledUnit,
+    scaled: true
+  };
+};
+
+// Scale a recipe's ingredients from its own servings to the requested servings
+const scaleIngredients = (ingredients, fromServings, toServings, system) => {
+  const factor = toServings / fromServings;
+  return ingredients.map(ingredient => scaleIngredient(ingredient, factor, system));
+};
+
+module.exports = {
+  roundForKitchen,
+  formatQuantity,
+  scaleIngredient,
+  scaleIngredients
+};
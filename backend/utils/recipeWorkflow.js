@@ -0,0 +1,146 @@
+const User = require('../models/User');
+const { notifyUser } = require('./notify');
+
+const isStaff = user => ['admin', 'chef'].includes(user.role);
+
+const isAuthor = (user, food) => {
+  return !!food.createdBy && food.createdBy.toString() === user._id.toString();
+};
+
+// Allowed status changes and who may make them:
+// author   - the recipe's author
+// reviewer - the assigned reviewer, or any chef while nobody is assigned
+// staff    - a chef publishing their own recipe without a separate review
+// Admins may make any of them.
+const transitions = {
+  draft: { submitted: 'author', published: 'staff', archived: 'author' },
+  submitted: { published: 'reviewer', 'changes-requested': 'reviewer', draft: 'author' },
+  'changes-requested': { submitted: 'author', draft: 'author', archived: 'author' },
+  published: { 'changes-requested': 'reviewer', archived: 'author' },
+  archived: { draft: 'author', published: 'reviewer' }
+};
+
+const isReviewerFor = (user, food) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'chef') return false;
+  return !food.review.reviewer || food.review.reviewer.toString() === user._id.toString();
+};
+
+const canActAs = (actor, user, food) => {
+  if (user.role === 'admin') return true;
+  if (actor === 'author') return isAuthor(user, food);
+  if (actor === 'staff') return isStaff(user) && isAuthor(user, food);
+  return isReviewerFor(user, food);
+};
+
+// Statuses the user may move this food to next
+const nextStatuses = (food, user) => {
+  return Object.entries(transitions[food.status] || {})
+    .filter(([, actor]) => canActAs(actor, user, food))
+    .map(([status]) => status);
+};
+
+// Check a status change - returns { status, message } describing the problem, or null if it's allowed
+const checkTransition = (food, user, status, comment) => {
+  const actor = (transitions[food.status] || {})[status];
+
+  if (!actor) {
+    return { status: 400, message: `A ${food.status} recipe cannot be moved to ${status}` };
+  }
+  if (!canActAs(actor, user, food)) {
+    return { status: 403, message: `Not authorized to move this recipe to ${status}` };
+  }
+  if (status === 'changes-requested' && !comment) {
+    return { status: 400, message: 'Say what needs changing when requesting changes' };
+  }
+  return null;
+};
+
+// Apply an allowed status change. A chef who decides on an unassigned
+// recipe becomes its reviewer. Needs review.comments loaded.
+const applyTransition = (food, user, status, comment) => {
+  const now = new Date();
+
+  food.status = status;
+  if (status === 'submitted') food.review.submittedAt = now;
+  if (status === 'published') food.review.publishedAt = now;
+
+  if (['published', 'changes-requested'].includes(status) && !food.review.reviewer && !isAuthor(user, food)) {
+    food.review.reviewer = user._id;
+    food.review.assignedAt = now;
+  }
+
+  if (comment) {
+    food.review.comments.push({ author: user._id, body: comment, status });
+  }
+};
+
+// Authors' edits to a live recipe go back through review; staff edits don't.
+// Returns true if the recipe was sent back.
+const resubmitIfLive = (food, user) => {
+  if (food.status !== 'published' || isStaff(user)) return false;
+
+  food.status = 'submitted';
+  food.review.submittedAt = new Date();
+  return true;
+};
+
+const decisionMessages = {
+  published: food => ({
+    title: 'Your recipe is live',
+    body: `${food.name} has been published.`
+  }),
+  'changes-requested': (food, comment) => ({
+    title: 'Changes requested on your recipe',
+    body: `${food.name}: ${comment}`
+  })
+};
+
+// Let the people on the other side of a status change know about it
+const notifyTransition = async (food, status, { actor, comment }) => {
+  const link = `/recipes/${food._id}`;
+  const [author, reviewer] = await Promise.all([food.createdBy, food.review.reviewer]
+    .map(id => id ? User.findById(id).select('email preferences') : null));
+
+  if (decisionMessages[status] && author && !isAuthor(actor, food)) {
+    await notifyUser(author, { type: 'recipe-review', link, ...decisionMessages[status](food, comment) });
+  }
+
+  if (status === 'submitted' && reviewer && reviewer._id.toString() !== actor._id.toString()) {
+    await notifyUser(reviewer, {
+      type: 'recipe-review',
+      title: 'Recipe ready for review',
+      body: `${food.name} has been submitted for review.`,
+      link
+    });
+  }
+};
+
+// Tell the other side of the review conversation about a new comment
+const notifyComment = async (food, { actor, body }) => {
+  const recipientId = isAuthor(actor, food) ? food.review.reviewer : food.createdBy;
+  if (!recipientId || recipientId.toString() === actor._id.toString()) return;
+
+  const recipient = await User.findById(recipientId).select('email preferences');
+  if (!recipient) return;
+
+  await notifyUser(recipient, {
+    type: 'recipe-review',
+    title: `New comment on ${food.name}`,
+    body,
+    link: `/recipes/${food._id}`
+  });
+};
+
+module.exports = {
+  statuses: Object.keys(transitions),
+  isStaff,
+  isAuthor,
+  isReviewerFor,
+  nextStatuses,
+  checkTransition,
+  applyTransition,
+  resubmitIfLive,
+  notifyTransition,
+  notifyComment
+};
@@ -0,0 +1,43 @@
+const Food = require('../models/Food');
+const { userAllergies, dietaryFilter } = require('./dietary');
+
+const spiceLevels = ['mild', 'medium', 'hot', 'extra-hot'];
+
+const experienceMap = {
+  'beginner': ['easy'],
+  'intermediate': ['easy', 'medium'],
+  'advanced': ['easy', 'medium', 'hard'],
+  'professional': ['easy', 'medium', 'hard']
+};
+
+// Build the food filter for a user's allergies, dietary preferences, spice
+// tolerance, favorite cuisines and cooking experience
+const recommendationFilter = (user) => {
+  // Allergies and diets are hard limits - every preference has to be met
+  const filter = Food.publicFilter(dietaryFilter({
+    allergies: userAllergies(user),
+    diets: user.profile.dietaryPreferences || []
+  }));
+
+  // Filter by spice level
+  if (user.preferences.spiceLevel) {
+    const userSpiceIndex = spiceLevels.indexOf(user.preferences.spiceLevel);
+    filter.spiceLevel = { $in: spiceLevels.slice(0, userSpiceIndex + 1) };
+  }
+
+  // Filter by favorite cuisines
+  if (user.profile.favoriteCuisines && user.profile.favoriteCuisines.length > 0) {
+    filter.cuisine = { $in: user.profile.favoriteCuisines };
+  }
+
+  // Filter by cooking experience
+  if (user.profile.cookingExperience) {
+    filter.difficulty = { $in: experienceMap[user.profile.cookingExperience] || ['easy'] };
+  }
+
+  return filter;
+};
+
+module.exports = {
+  recommendationFilter
+};
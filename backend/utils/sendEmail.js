@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./emailTemplates');
+
+// Messages captured by the memory transport (inspected in tests)
+const outbox = [];
+
+let transporter;
+
+// Pick the transport: smtp in production, file for local runs, memory for tests
+const getTransportType = () => {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+};
+
+const createTransporter = (type) => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: parseInt(process.env.EMAIL_PORT) === 465,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    case 'memory':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown email transport: ${type}`);
+  }
+};
+
+// Send an email, either from a named template or raw subject/text/html
+const sendEmail = async ({ email, subject, text, html, template, data }) => {
+  const type = getTransportType();
+
+  if (!transporter) {
+    transporter = createTransporter(type);
+  }
+
+  const content = template ? renderTemplate(template, data) : { subject, text, html };
+
+  const info = await transporter.sendMail({
+    from: process.env.EMAIL_FROM || 'Khaana AI <noreply@khaana-ai.com>',
+    to: email,
+    ...content
+  });
+
+  if (type === 'file') {
+    const dir = process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'emails');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(dir, fileName), info.message);
+    console.log(`📧 Email to ${email} written to ${path.join(dir, fileName)}`);
+  }
+
+  if (type === 'memory') {
+    outbox.push(JSON.parse(info.message));
+  }
+
+  return info;
+};
+
+// Reset transport and captured messages (used in tests)
+const resetEmail = () => {
+  transporter = undefined;
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendEmail,
+  outbox,
+  resetEmail
+};
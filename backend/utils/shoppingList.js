@@ -0,0 +1,155 @@
+const Ingredient = require('../models/Ingredient');
+const { units, toSystem } = require('./units');
+const { parseIngredient } = require('./ingredientParser');
+const { roundForKitchen, formatQuantity } = require('./recipeScaling');
+const { ingredientMatches } = require('./ingredientMatching');
+
+// Aisles in the order you'd walk a shop, and the catalog categories found in each
+const aisles = [
+  { aisle: 'produce', categories: ['vegetable', 'fruit', 'herb'] },
+  { aisle: 'dairy & eggs', categories: ['dairy', 'egg'] },
+  { aisle: 'meat & fish', categories: ['meat', 'poultry', 'seafood'] },
+  { aisle: 'grains, flour & dals', categories: ['grain', 'flour', 'legume'] },
+  { aisle: 'spices', categories: ['spice'] },
+  { aisle: 'pantry', categories: ['oil-fat', 'sweetener', 'condiment', 'nut-seed'] },
+  { aisle: 'other', categories: ['other'] }
+];
+
+const aisleNames = aisles.map(({ aisle }) => aisle);
+
+const aisleFor = (category) => {
+  const match = aisles.find(({ categories }) => categories.includes(category));
+  return match ? match.aisle : 'other';
+};
+
+// Base unit for measured kinds, so grams and kilos (or tsp and cups) add up
+const baseUnits = { volume: 'ml', mass: 'g' };
+
+// Merge the ingredients of several recipes into one list. Each entry in
+// `recipes` is { food, servings }; the same ingredient across recipes is
+// combined when the units can be converted into each other.
+const buildShoppingItems = async (recipes, system = 'metric') => {
+  const lines = new Map();
+
+  for (const { food, servings } of recipes) {
+    const factor = (servings || food.servings) / food.servings;
+
+    for (const ingredient of food.ingredients) {
+      const parsed = ingredient.parsed && ingredient.parsed.unit !== undefined
+        ? ingredient.parsed
+        : parseIngredient(ingredient);
+
+      const identity = ingredient.ingredient
+        ? ingredient.ingredient.toString()
+        : `name:${Ingredient.termKey(parsed.name || ingredient.name)}`;
+      const kind = !parsed.scalable ? 'unmeasured' : (units[parsed.unit] ? units[parsed.unit].kind : `count:${parsed.unit}`);
+      const key = `${identity}|${kind}`;
+
+      if (!lines.has(key)) {
+        lines.set(key, {
+          identity,
+          name: parsed.name || ingredient.name,
+          ingredient: ingredient.ingredient,
+          kind,
+          unit: parsed.unit,
+          total: 0,
+          recipes: []
+        });
+      }
+
+      const line = lines.get(key);
+      if (!line.recipes.some(id => id.toString() === food._id.toString())) line.recipes.push(food._id);
+
+      if (parsed.scalable) {
+        // Shop for the top of a range - better a little left over than short
+        const amount = parsed.quantityMax * factor;
+        line.total += units[parsed.unit] ? amount * units[parsed.unit].base / units[baseUnits[kind]].base : amount;
+      }
+    }
+  }
+
+  // "Salt to taste" adds nothing when another recipe already needs a measured amount
+  const measured = new Set([...lines.values()].filter(line => line.kind !== 'unmeasured').map(line => line.identity));
+  for (const [key, line] of lines) {
+    if (line.kind === 'unmeasured' && measured.has(line.identity)) {
+      const target = [...lines.values()].find(other => other.identity === line.identity && other.kind !== 'unmeasured');
+      line.recipes.forEach(id => {
+        if (!target.recipes.some(existing => existing.toString() === id.toString())) target.recipes.push(id);
+      });
+      lines.delete(key);
+    }
+  }
+
+  // Catalog names and aisles for linked ingredients
+  const ingredientIds = [...lines.values()].filter(line => line.ingredient).map(line => line.ingredient);
+  const catalog = new Map((await Ingredient.find({ _id: { $in: ingredientIds } }).select('name category'))
+    .map(entry => [entry._id.toString(), entry]));
+
+  return [...lines.values()].map(line => {
+    const entry = line.ingredient && catalog.get(line.ingredient.toString());
+    const item = {
+      name: entry ? entry.name : line.name,
+      ingredient: line.ingredient,
+      aisle: aisleFor(entry && entry.category),
+      recipes: line.recipes
+    };
+
+    if (line.kind === 'unmeasured') {
+      return { ...item, amount: !line.unit || line.unit === 'to taste' ? 'to taste' : `a ${line.unit}` };
+    }
+
+    let { total: quantity, unit } = line;
+    if (baseUnits[line.kind]) {
+      ({ amount: quantity, unit } = toSystem(quantity, baseUnits[line.kind], system));
+    }
+    quantity = roundForKitchen(quantity, unit);
+
+    const amount = unit === 'piece' ? formatQuantity(quantity) : `${formatQuantity(quantity)} ${unit}`;
+    return { ...item, quantity, unit, amount };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Flag items the user already has, using their pantry (and staples) matchers
+const markPantryItems = (items, matchers) => {
+  return items.map(item => ({
+    ...item,
+    alreadyHave: matchers.some(matcher => ingredientMatches(item, matcher))
+  }));
+};
+
+// Plain-text list, grouped by aisle, with checkboxes
+const toText = (list) => {
+  const sections = list.groupByAisle(aisleNames).map(({ aisle, items }) => {
+    const lines = items.map(item => `[${item.checked || item.alreadyHave ? 'x' : ' '}] ${item.name} - ${item.amount}`);
+    return `${aisle.toUpperCase()}\n${lines.join('\n')}`;
+  });
+
+  const recipes = list.recipes.map(recipe => `${recipe.name} (${recipe.servings} servings)`).join(', ');
+  return `${list.name}\nFor: ${recipes}\n\n${sections.join('\n\n')}\n`;
+};
+
+// Item and recipe names come from other users' recipes - text that a spreadsheet
+// would run as a formula gets a leading quote so it stays text
+const csvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV with one row per item
+const toCsv = (list) => {
+  const header = ['aisle', 'item', 'quantity', 'unit', 'amount', 'already_have', 'checked'];
+  const rows = list.groupByAisle(aisleNames).flatMap(({ aisle, items }) => items.map(item => [
+    aisle, item.name, item.quantity, item.unit, item.amount, item.alreadyHave, item.checked
+  ]));
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+};
+
+module.exports = {
+  aisles: aisleNames,
+  buildShoppingItems,
+  markPantryItems,
+  toText,
+  toCsv
+};
@@ -0,0 +1,74 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/storage');
+
+// Uploaded files are written once under a unique key and never modified, so
+// both drivers let clients cache them for good
+
+const localDriver = ({ directory, publicUrl }) => ({
+  save: async (key, buffer) => {
+    const file = path.join(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${publicUrl}/${key}`;
+  },
+
+  remove: async (keys) => {
+    await Promise.all(keys.map(key => fs.rm(path.join(directory, key), { force: true })));
+  }
+});
+
+const s3Driver = ({ bucket, region, publicUrl }) => {
+  // Loaded here so local development doesn't need AWS at all
+  const AWS = require('aws-sdk');
+  const s3 = new AWS.S3({ region });
+  const baseUrl = publicUrl || `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  return {
+    save: async (key, buffer, contentType) => {
+      await s3.putObject({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }).promise();
+      return `${baseUrl}/${key}`;
+    },
+
+    remove: async (keys) => {
+      // deleteObjects takes at most 1000 keys a call
+      for (let i = 0; i < keys.length; i += 1000) {
+        await s3.deleteObjects({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true }
+        }).promise();
+      }
+    }
+  };
+};
+
+const drivers = {
+  local: () => localDriver(config.local),
+  s3: () => {
+    if (!config.s3.bucket) throw new Error('AWS_S3_BUCKET must be set to store uploads on S3');
+    return s3Driver(config.s3);
+  }
+};
+
+let storage;
+
+// The configured storage driver: { save(key, buffer, contentType) -> url, remove(keys) }
+const getStorage = () => {
+  if (!storage) {
+    if (!drivers[config.driver]) throw new Error(`Unknown STORAGE_DRIVER "${config.driver}"`);
+    storage = drivers[config.driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  localDriver,
+  s3Driver
+};
@@ -0,0 +1,50 @@
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+// Generate a short-lived access token tied to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Start a session and issue its access token and refresh token pair
+const issueAuthTokens = async (user, req) => {
+  const session = await Session.start(user._id, req);
+  const refreshToken = await RefreshToken.issue(user._id, {
+    family: session._id.toString(),
+    expiresAt: session.expiresAt,
+    ip: req.ip
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Generate a short-lived token proving the password step of a two-factor login passed
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+// Verify a two-factor challenge token and return the user ID (null if invalid)
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateAccessToken,
+  issueAuthTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
@@ -0,0 +1,84 @@
+// Kitchen units, grouped by what they measure. Volumes are stored in ml and
+// masses in grams so any unit can be converted to any other of the same kind.
+const units = {
+  // Volume
+  tsp: { kind: 'volume', base: 4.929, aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 't', 'chhota chammach', 'chota chammach'] },
+  tbsp: { kind: 'volume', base: 14.787, aliases: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons', 'T', 'chammach', 'bara chammach', 'bada chammach'] },
+  'fl oz': { kind: 'volume', base: 29.574, aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+  cup: { kind: 'volume', base: 236.588, aliases: ['cup', 'cups', 'c'] },
+  ml: { kind: 'volume', base: 1, aliases: ['ml', 'mls', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  l: { kind: 'volume', base: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres', 'ltr'] },
+  katori: { kind: 'volume', base: 150, aliases: ['katori', 'katoris', 'bowl', 'bowls'] },
+  glass: { kind: 'volume', base: 250, aliases: ['glass', 'glasses'] },
+
+  // Mass
+  g: { kind: 'mass', base: 1, aliases: ['g', 'gm', 'gms', 'gram', 'grams', 'gramme', 'grammes'] },
+  kg: { kind: 'mass', base: 1000, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  oz: { kind: 'mass', base: 28.35, aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { kind: 'mass', base: 453.592, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  pav: { kind: 'mass', base: 250, aliases: ['pav', 'paav', 'pao'] }
+};
+
+// Which units each measurement system uses, smallest first, with the amount
+// (in ml or g) from which each becomes the natural choice
+const systems = {
+  metric: {
+    volume: [['tsp', 0], ['tbsp', 14.787], ['ml', 60], ['l', 1000]],
+    mass: [['g', 0], ['kg', 1000]]
+  },
+  us: {
+    volume: [['tsp', 0], ['tbsp', 14.787], ['cup', 59.147]],
+    mass: [['oz', 0], ['lb', 453.592]]
+  },
+  desi: {
+    volume: [['tsp', 0], ['tbsp', 14.787], ['katori', 60], ['glass', 250]],
+    mass: [['g', 0], ['pav', 125], ['kg', 1000]]
+  }
+};
+
+const aliasIndex = new Map();
+for (const [unit, definition] of Object.entries(units)) {
+  for (const alias of definition.aliases) {
+    aliasIndex.set(alias, unit);
+    if (!aliasIndex.has(alias.toLowerCase())) aliasIndex.set(alias.toLowerCase(), unit);
+  }
+}
+
+// Find the canonical unit for whatever a cook typed ("Tablespoons" -> "tbsp").
+// "T" and "t" are only told apart by case, so try the exact spelling first.
+const normalizeUnit = (unit) => {
+  if (!unit) return null;
+  const cleaned = unit.trim().replace(/\.$/, '');
+  return aliasIndex.get(cleaned) || aliasIndex.get(cleaned.toLowerCase()) || null;
+};
+
+// Convert an amount between two canonical units of the same kind
+const convert = (amount, from, to) => {
+  if (from === to) return amount;
+  if (!units[from] || !units[to] || units[from].kind !== units[to].kind) return null;
+  return amount * units[from].base / units[to].base;
+};
+
+// Re-express an amount in the most natural unit of a measurement system
+const toSystem = (amount, unit, system) => {
+  const definition = units[unit];
+  const ladder = definition && systems[system] && systems[system][definition.kind];
+
+  if (!ladder) return { amount, unit };
+
+  const baseAmount = amount * definition.base;
+  let target = ladder[0][0];
+  for (const [candidate, threshold] of ladder) {
+    if (baseAmount >= threshold) target = candidate;
+  }
+
+  return { amount: baseAmount / units[target].base, unit: target };
+};
+
+module.exports = {
+  units,
+  systems,
+  normalizeUnit,
+  convert,
+  toSystem
+};